@@ -0,0 +1,193 @@
+-- Tables for the Supabase repository driver (services/repository.js).
+-- Every repository stores its records as JSON in `data`, keyed by `id`.
+
+create table if not exists image_metadata (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists image_metadata_session_idx on image_metadata ((data->>'sessionId'));
+
+create table if not exists orders (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists orders_customer_email_idx on orders ((data->>'customerEmail'));
+
+create table if not exists sessions (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists orders_payment_intent_idx on orders ((data->>'paymentIntentId'));
+
+-- Stripe event ids already handled by the webhook (services/webhookEvents.js)
+create table if not exists webhook_events (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists orders_account_idx on orders ((data->>'accountId'));
+create index if not exists sessions_account_idx on sessions ((data->>'accountId'));
+
+-- Customer accounts and their passwordless logins (services/accounts.js)
+create table if not exists accounts (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists accounts_email_idx on accounts ((data->>'email'));
+
+create table if not exists login_codes (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists auth_tokens (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Gifts, keyed by their redeemable token (services/gifts.js)
+create table if not exists gifts (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists gifts_status_idx on gifts ((data->>'status'));
+
+-- Vouchers, keyed by code, and every use of one (services/vouchers.js)
+create table if not exists vouchers (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists voucher_redemptions (
+  id text primary key,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists voucher_redemptions_code_idx on voucher_redemptions ((data->>'code'));
+create index if not exists voucher_redemptions_order_idx on voucher_redemptions ((data->>'orderId'));
+
+-- Atomic counter update for repository.increment(): adds p_by to the numeric field
+-- data->>p_field unless the result falls outside p_min..p_max. Returns the updated record,
+-- or null when the row is missing or the bounds stopped it.
+create or replace function repository_increment(
+  p_table text, p_id text, p_field text, p_by integer, p_min integer default null, p_max integer default null
+) returns jsonb language plpgsql as $$
+declare
+  result jsonb;
+begin
+  execute format(
+    'update %I
+        set data = jsonb_set(data, array[$2], to_jsonb(coalesce((data->>$2)::integer, 0) + $3))
+                   || jsonb_build_object(''updatedAt'', to_char(now() at time zone ''utc'', ''YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'')),
+            updated_at = now()
+      where id = $1
+        and ($4 is null or coalesce((data->>$2)::integer, 0) + $3 >= $4)
+        and ($5 is null or coalesce((data->>$2)::integer, 0) + $3 <= $5)
+      returning data',
+    p_table
+  ) into result using p_id, p_field, p_by, p_min, p_max;
+  return result;
+end;
+$$;
+
+-- Atomic append for repository.append(): adds p_value to the end of the array data->p_field
+-- unless it already holds p_max_length items. Returns like repository_increment.
+create or replace function repository_append(
+  p_table text, p_id text, p_field text, p_value jsonb, p_max_length integer default null
+) returns jsonb language plpgsql as $$
+declare
+  result jsonb;
+begin
+  execute format(
+    'update %I
+        set data = jsonb_set(data, array[$2], coalesce(data->$2, ''[]''::jsonb) || jsonb_build_array($3))
+                   || jsonb_build_object(''updatedAt'', to_char(now() at time zone ''utc'', ''YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'')),
+            updated_at = now()
+      where id = $1
+        and ($4 is null or jsonb_array_length(coalesce(data->$2, ''[]''::jsonb)) < $4)
+      returning data',
+    p_table
+  ) into result using p_id, p_field, p_value, p_max_length;
+  return result;
+end;
+$$;
+
+-- Merge for repository.update(): writes the top-level fields of p_patch over data, leaving the
+-- others as they are. Returns the updated record, or null when the row is missing.
+create or replace function repository_update(p_table text, p_id text, p_patch jsonb) returns jsonb language plpgsql as $$
+declare
+  result jsonb;
+begin
+  execute format(
+    'update %I
+        set data = data || $2
+                   || jsonb_build_object(''updatedAt'', to_char(now() at time zone ''utc'', ''YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'')),
+            created_at = coalesce(($2->>''createdAt'')::timestamptz, created_at),
+            updated_at = now()
+      where id = $1
+      returning data',
+    p_table
+  ) into result using p_id, p_patch;
+  return result;
+end;
+$$;
+
+-- find({ createdBefore }) goes by created_at, which now mirrors data->>'createdAt'.
+-- Rows written before that may differ; this brings them in line (safe to run again).
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'image_metadata', 'orders', 'sessions', 'webhook_events', 'accounts', 'login_codes',
+    'auth_tokens', 'gifts', 'vouchers', 'voucher_redemptions'
+  ] loop
+    execute format(
+      'update %I set created_at = (data->>''createdAt'')::timestamptz
+        where data ? ''createdAt'' and created_at <> (data->>''createdAt'')::timestamptz',
+      t
+    );
+  end loop;
+end;
+$$;
+
+-- Orders are looked up by the sessions of their images (find({ contains: { sessionIds } })).
+-- Orders written before sessionIds was stored get it from their image ids (safe to run again).
+update orders
+   set data = jsonb_set(data, '{sessionIds}', coalesce((
+         select jsonb_agg(distinct split_part(image_id, '_', 1))
+           from jsonb_array_elements_text(data->'imageIds') as image_id
+       ), '[]'::jsonb))
+ where not data ? 'sessionIds';
+
+create index if not exists orders_session_ids_idx on orders using gin ((data->'sessionIds') jsonb_path_ops);
+
+-- Lookups for erasing a customer (eraseCustomer in services/retention.js)
+create index if not exists auth_tokens_account_idx on auth_tokens ((data->>'accountId'));
+create index if not exists login_codes_email_idx on login_codes ((data->>'email'));
+create index if not exists gifts_recipient_email_idx on gifts ((data->>'recipientEmail'));
@@ -3,13 +3,29 @@ import dotenv from 'dotenv'
 dotenv.config()
 
 import express from 'express'
-import cors from 'cors'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 
 // Import routes after dotenv is configured
 import generateRouter from './routes/generate.js'
 import paymentRouter from './routes/payment.js'
+import sessionsRouter from './routes/sessions.js'
+import filesRouter from './routes/files.js'
+import ordersRouter from './routes/orders.js'
+import accountRouter from './routes/account.js'
+import giftsRouter from './routes/gifts.js'
+import composeRouter from './routes/compose.js'
+import adminRouter from './routes/admin.js'
+import { getDriverName } from './services/repository.js'
+import { getStorageDriverName } from './services/storage.js'
+import { getMailTransportName } from './services/mailer.js'
+import { registerTask, startTasks } from './services/tasks.js'
+import { corsWithAllowlist, getAllowedOrigins } from './middleware/cors.js'
+import { getVerificationMode } from './middleware/humanVerification.js'
+import { getRetentionPolicy, purgeExpiredSessions } from './services/retention.js'
+import { purgeProcessedEvents } from './services/webhookEvents.js'
+import { purgeExpiredLogins } from './services/accounts.js'
+import { getGiftPolicy, deliverDueGifts } from './services/gifts.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -22,10 +38,24 @@ console.log('Environment loaded:')
 console.log('  - GEMINI_API_KEY:', process.env.GEMINI_API_KEY ? 'SET' : 'NOT SET')
 console.log('  - STRIPE_SECRET_KEY:', process.env.STRIPE_SECRET_KEY ? 'SET' : 'NOT SET')
 console.log('  - SUPABASE_URL:', process.env.SUPABASE_URL ? 'SET' : 'NOT SET')
+console.log('  - DATA_STORE:', getDriverName())
+console.log('  - STORAGE_DRIVER:', getStorageDriverName())
+console.log('  - IMAGE_PROVIDER:', process.env.IMAGE_PROVIDER || 'gemini')
+console.log('  - CORS_ORIGINS:', getAllowedOrigins().join(', ') || 'NOT SET')
+console.log('  - RATE_LIMIT_STORE:', process.env.RATE_LIMIT_STORE || 'memory')
+console.log('  - HUMAN_VERIFICATION:', getVerificationMode())
+console.log('  - MAIL_TRANSPORT:', getMailTransportName())
+console.log('  - ADMIN_API_KEY:', process.env.ADMIN_API_KEY ? 'SET' : 'NOT SET')
+
+// Behind the Heroku router (or another proxy), so req.ip is the client from X-Forwarded-For
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY ?? '1', 10))
 
 // Middleware
-app.use(cors())
-app.use(express.json())
+app.use(corsWithAllowlist())
+
+// The Stripe webhook verifies its signature against the raw body, so it must not be JSON-parsed here
+const jsonParser = express.json()
+app.use((req, res, next) => (req.originalUrl === '/api/webhook' ? next() : jsonParser(req, res, next)))
 
 // Serve uploaded/generated images
 app.use('/uploads', express.static(join(__dirname, 'uploads')))
@@ -33,6 +63,13 @@ app.use('/uploads', express.static(join(__dirname, 'uploads')))
 // API Routes
 app.use('/api', generateRouter)
 app.use('/api', paymentRouter)
+app.use('/api', sessionsRouter)
+app.use('/api', filesRouter)
+app.use('/api', ordersRouter)
+app.use('/api', accountRouter)
+app.use('/api', giftsRouter)
+app.use('/api', composeRouter)
+app.use('/api', adminRouter)
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -48,7 +85,14 @@ app.get('*', (req, res) => {
   res.sendFile(join(clientDistPath, 'index.html'))
 })
 
+// Background tasks
+registerTask('retention', getRetentionPolicy().intervalMs, () => purgeExpiredSessions())
+registerTask('webhook-events', 24 * 60 * 60 * 1000, () => purgeProcessedEvents())
+registerTask('logins', 60 * 60 * 1000, () => purgeExpiredLogins())
+registerTask('gift-deliveries', getGiftPolicy().deliveryIntervalMs, () => deliverDueGifts())
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`)
+  startTasks()
 })
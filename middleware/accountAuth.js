@@ -0,0 +1,37 @@
+import { authenticate } from '../services/accounts.js'
+
+// Access tokens from POST /api/auth/verify are sent as "Authorization: Bearer <token>"
+export function getBearerToken(req) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ')
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null
+}
+
+/**
+ * Sets req.account when the request carries a valid access token, so anonymous
+ * routes (generate, checkout) can link what they create to a signed-in customer.
+ */
+export async function optionalAccount(req, res, next) {
+  try {
+    req.account = await authenticate(getBearerToken(req))
+  } catch (error) {
+    // Signing in is optional here, so a token store outage must not block the request
+    console.error('Account lookup failed:', error.message)
+    req.account = null
+  }
+  next()
+}
+
+// Responds 401 with code AUTH_REQUIRED unless the request is signed in
+export async function requireAccount(req, res, next) {
+  try {
+    req.account = await authenticate(getBearerToken(req))
+  } catch (error) {
+    console.error('Account lookup failed:', error)
+    return res.status(500).json({ error: 'Failed to check your login' })
+  }
+
+  if (!req.account) {
+    return res.status(401).json({ error: 'Please sign in', code: 'AUTH_REQUIRED' })
+  }
+  next()
+}
@@ -0,0 +1,54 @@
+import crypto from 'crypto'
+import { getBearerToken } from './accountAuth.js'
+
+// Compare hashes so neither the length nor the contents of a secret leak through timing
+function secretsMatch(provided, expected) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest()
+  return crypto.timingSafeEqual(hash(provided), hash(expected))
+}
+
+function parseBasicAuth(req) {
+  const [scheme, encoded] = (req.get('authorization') || '').split(' ')
+  if (scheme?.toLowerCase() !== 'basic' || !encoded) return null
+
+  const decoded = Buffer.from(encoded, 'base64').toString('utf-8')
+  const separator = decoded.indexOf(':')
+  return separator === -1 ? null : { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) }
+}
+
+/**
+ * Guards the /api/admin routes. Accepts either
+ * - ADMIN_API_KEY, as "Authorization: Bearer <key>" or an X-Admin-Key header, or
+ * - ADMIN_USERNAME and ADMIN_PASSWORD with basic auth (so a browser can open the routes)
+ * Responds 503 when neither is configured and 401 with code ADMIN_AUTH_REQUIRED otherwise.
+ */
+export function requireAdmin(req, res, next) {
+  const apiKey = process.env.ADMIN_API_KEY
+  const username = process.env.ADMIN_USERNAME
+  const password = process.env.ADMIN_PASSWORD
+
+  if (!apiKey && !(username && password)) {
+    return res.status(503).json({ error: 'Admin access is not configured' })
+  }
+
+  const providedKey = req.get('x-admin-key') || getBearerToken(req)
+  if (apiKey && providedKey && secretsMatch(providedKey, apiKey)) {
+    return next()
+  }
+
+  const basic = parseBasicAuth(req)
+  if (username && password && basic) {
+    // Both are always compared, so timing doesn't tell whether the username was right
+    const usernameMatches = secretsMatch(basic.username, username)
+    const passwordMatches = secretsMatch(basic.password, password)
+    if (usernameMatches && passwordMatches) {
+      return next()
+    }
+  }
+
+  console.log(`Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}`)
+  if (username && password) {
+    res.set('WWW-Authenticate', 'Basic realm="imagegen.studio admin"')
+  }
+  res.status(401).json({ error: 'Admin credentials required', code: 'ADMIN_AUTH_REQUIRED' })
+}
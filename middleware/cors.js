@@ -0,0 +1,22 @@
+import cors from 'cors'
+
+/**
+ * CORS limited to the origins in CORS_ORIGINS (comma-separated, e.g.
+ * "https://imagegen.studio,https://www.imagegen.studio"). Without it every origin is
+ * allowed outside production, and only same-origin requests in production.
+ * Requests without an Origin header (same-origin, curl, Stripe webhooks) are unaffected.
+ */
+export function getAllowedOrigins() {
+  return (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean)
+}
+
+export function corsWithAllowlist() {
+  return cors({
+    origin: (origin, callback) => {
+      const allowed = getAllowedOrigins()
+      if (!origin) return callback(null, true)
+      if (allowed.length === 0) return callback(null, process.env.NODE_ENV !== 'production')
+      callback(null, allowed.includes(origin))
+    }
+  })
+}
@@ -0,0 +1,117 @@
+import crypto from 'crypto'
+import { createSignedToken, verifySignedToken } from '../services/signing.js'
+import { getRateLimitStore } from '../services/rateLimitStore.js'
+
+/**
+ * Optional check that a request comes from a person rather than a script.
+ * HUMAN_VERIFICATION selects the mode:
+ * - 'off' (default): no check
+ * - 'pow': proof of work. The client gets a challenge from GET /api/challenge and sends
+ *   X-Pow-Challenge plus an X-Pow-Nonce for which sha256(challenge + nonce) starts with
+ *   POW_DIFFICULTY (default 18) zero bits
+ * - 'turnstile' / 'hcaptcha': the widget's token in X-Captcha-Token, checked against the
+ *   provider with CAPTCHA_SECRET
+ * - 'stub': accepts X-Captcha-Token equal to HUMAN_VERIFICATION_STUB_TOKEN (default 'test'),
+ *   for local development without a CAPTCHA account
+ */
+const CAPTCHA_VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify'
+}
+
+// A provider that doesn't answer in time fails the check instead of holding the request open
+const CAPTCHA_TIMEOUT_MS = 5000
+
+// Challenges are valid this long, and each one can be used once
+const CHALLENGE_TTL_SECONDS = 5 * 60
+
+export function getVerificationMode() {
+  return process.env.HUMAN_VERIFICATION || 'off'
+}
+
+function getPowDifficulty() {
+  return parseInt(process.env.POW_DIFFICULTY ?? '18', 10)
+}
+
+export function createChallenge() {
+  const difficulty = getPowDifficulty()
+  const challenge = createSignedToken({ id: crypto.randomUUID(), difficulty }, CHALLENGE_TTL_SECONDS)
+  return { challenge, difficulty, algorithm: 'sha256', expiresIn: CHALLENGE_TTL_SECONDS }
+}
+
+function leadingZeroBits(hash) {
+  let bits = 0
+  for (const byte of hash) {
+    if (byte === 0) {
+      bits += 8
+      continue
+    }
+    bits += Math.clz32(byte) - 24
+    break
+  }
+  return bits
+}
+
+async function verifyProofOfWork(req) {
+  const challenge = req.get('x-pow-challenge')
+  const nonce = req.get('x-pow-nonce')
+  if (!challenge || !nonce) return 'missing'
+
+  const payload = verifySignedToken(challenge)
+  if (!payload?.id) return 'invalid'
+
+  const hash = crypto.createHash('sha256').update(challenge + nonce).digest()
+  if (leadingZeroBits(hash) < payload.difficulty) return 'invalid'
+
+  // Replaying a solved challenge would make the work free
+  const { count } = await getRateLimitStore().increment(`pow:${payload.id}`, { windowMs: CHALLENGE_TTL_SECONDS * 1000 })
+  return count === 1 ? 'ok' : 'invalid'
+}
+
+async function verifyCaptcha(req, mode) {
+  const token = req.get('x-captcha-token')
+  if (!token) return 'missing'
+
+  if (mode === 'stub') {
+    return token === (process.env.HUMAN_VERIFICATION_STUB_TOKEN || 'test') ? 'ok' : 'invalid'
+  }
+
+  const response = await fetch(CAPTCHA_VERIFY_URLS[mode], {
+    method: 'POST',
+    body: new URLSearchParams({ secret: process.env.CAPTCHA_SECRET || '', response: token, remoteip: req.ip }),
+    signal: AbortSignal.timeout(CAPTCHA_TIMEOUT_MS)
+  })
+  const result = await response.json()
+  return result.success ? 'ok' : 'invalid'
+}
+
+/**
+ * Middleware enforcing HUMAN_VERIFICATION. Responds 403 with code
+ * HUMAN_VERIFICATION_REQUIRED (nothing sent) or HUMAN_VERIFICATION_FAILED.
+ */
+export async function verifyHuman(req, res, next) {
+  const mode = getVerificationMode()
+  if (mode === 'off') return next()
+
+  let outcome
+  try {
+    if (mode === 'pow') {
+      outcome = await verifyProofOfWork(req)
+    } else if (mode === 'stub' || CAPTCHA_VERIFY_URLS[mode]) {
+      outcome = await verifyCaptcha(req, mode)
+    } else {
+      throw new Error(`Unknown HUMAN_VERIFICATION mode: ${mode}`)
+    }
+  } catch (error) {
+    console.error('Human verification failed:', error.message)
+    return res.status(503).json({ error: 'Verification is unavailable, please try again later' })
+  }
+
+  if (outcome === 'missing') {
+    return res.status(403).json({ error: 'Verification required', code: 'HUMAN_VERIFICATION_REQUIRED', mode })
+  }
+  if (outcome !== 'ok') {
+    return res.status(403).json({ error: 'Verification failed, please try again', code: 'HUMAN_VERIFICATION_FAILED', mode })
+  }
+  next()
+}
@@ -0,0 +1,98 @@
+import crypto from 'crypto'
+import { getRateLimitStore } from '../services/rateLimitStore.js'
+
+/**
+ * Browser fingerprint of a request: the client's own visitor id from the
+ * X-Client-Fingerprint header when it sends one, otherwise a hash of headers that stay
+ * stable for a browser, so one browser hopping between IPs is still limited.
+ */
+export function getFingerprint(req) {
+  const provided = req.get('x-client-fingerprint')
+  if (provided) return `client:${provided.slice(0, 128)}`
+
+  const traits = [req.get('user-agent'), req.get('accept-language'), req.get('sec-ch-ua-platform')]
+  return `headers:${crypto.createHash('sha256').update(traits.join('|')).digest('hex').slice(0, 32)}`
+}
+
+/**
+ * Fixed-window rate limit per client IP and per fingerprint, and optionally per email address
+ * when `getEmail(req)` resolves to the one the request is about.
+ * `name` namespaces the counters; a limit of 0 turns that check off.
+ * Over the limit, responds 429 with code RATE_LIMITED and a Retry-After header.
+ */
+export function rateLimit({ name, windowMs, perIp, perFingerprint, perEmail = () => 0, getEmail = null }) {
+  return async (req, res, next) => {
+    try {
+      const email = getEmail && perEmail() > 0 ? await getEmail(req) : null
+      const checks = [
+        { key: `${name}:ip:${req.ip}`, limit: perIp() },
+        { key: `${name}:fp:${getFingerprint(req)}`, limit: perFingerprint() },
+        { key: `${name}:email:${email}`, limit: email ? perEmail() : 0 }
+      ].filter(check => check.limit > 0)
+
+      const store = getRateLimitStore()
+      for (const { key, limit } of checks) {
+        const { count, resetAt } = await store.increment(key, { windowMs: windowMs() })
+        if (count > limit) {
+          const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+          console.log(`Rate limited ${key} (${count}/${limit})`)
+          res.set('Retry-After', String(retryAfter))
+          return res.status(429).json({ error: 'Too many requests, please try again later', code: 'RATE_LIMITED', retryAfter })
+        }
+      }
+    } catch (error) {
+      // A store outage shouldn't take generation down with it
+      console.error(`Rate limit store failed for ${name}:`, error.message)
+    }
+
+    next()
+  }
+}
+
+/**
+ * Limits for POST /api/generate, every call of which pays for several AI generations,
+ * shared with POST /api/sessions/:sessionId/regenerate:
+ * GENERATE_LIMIT_PER_IP (default 10) and GENERATE_LIMIT_PER_FINGERPRINT (default 5)
+ * per GENERATE_LIMIT_WINDOW_MINUTES (default 60).
+ */
+export const generateRateLimit = rateLimit({
+  name: 'generate',
+  windowMs: () => parseFloat(process.env.GENERATE_LIMIT_WINDOW_MINUTES ?? '60') * 60 * 1000,
+  perIp: () => parseInt(process.env.GENERATE_LIMIT_PER_IP ?? '10', 10),
+  perFingerprint: () => parseInt(process.env.GENERATE_LIMIT_PER_FINGERPRINT ?? '5', 10)
+})
+
+/**
+ * Limits for POST /api/orders/:id/resend, so the endpoint can't be used to flood a
+ * customer's inbox: RESEND_LIMIT_PER_IP (default 5) and RESEND_LIMIT_PER_FINGERPRINT
+ * (default 3) per hour.
+ */
+export const resendRateLimit = rateLimit({
+  name: 'resend',
+  windowMs: () => 60 * 60 * 1000,
+  perIp: () => parseInt(process.env.RESEND_LIMIT_PER_IP ?? '5', 10),
+  perFingerprint: () => parseInt(process.env.RESEND_LIMIT_PER_FINGERPRINT ?? '3', 10)
+})
+
+/**
+ * Limits for POST /api/images/:imageId/compose, which renders full-size images on this server:
+ * COMPOSE_LIMIT_PER_IP (default 30) and COMPOSE_LIMIT_PER_FINGERPRINT (default 20) per hour.
+ */
+export const composeRateLimit = rateLimit({
+  name: 'compose',
+  windowMs: () => 60 * 60 * 1000,
+  perIp: () => parseInt(process.env.COMPOSE_LIMIT_PER_IP ?? '30', 10),
+  perFingerprint: () => parseInt(process.env.COMPOSE_LIMIT_PER_FINGERPRINT ?? '20', 10)
+})
+
+/**
+ * Limits for POST /api/sessions/:sessionId/vouchers and checkouts with a voucher, so voucher
+ * codes can't be guessed:
+ * VOUCHER_LIMIT_PER_IP (default 20) and VOUCHER_LIMIT_PER_FINGERPRINT (default 10) per hour.
+ */
+export const voucherRateLimit = rateLimit({
+  name: 'voucher',
+  windowMs: () => 60 * 60 * 1000,
+  perIp: () => parseInt(process.env.VOUCHER_LIMIT_PER_IP ?? '20', 10),
+  perFingerprint: () => parseInt(process.env.VOUCHER_LIMIT_PER_FINGERPRINT ?? '10', 10)
+})
@@ -0,0 +1,43 @@
+import { authenticate } from '../services/accounts.js'
+import { getSession, isValidSessionId, verifySessionToken } from '../services/sessions.js'
+import { getBearerToken } from './accountAuth.js'
+
+/**
+ * Guards routes on one session, whose id `getSessionId(req)` takes from the request. Accepts the
+ * session token from POST /api/generate as an X-Session-Token header, or the access token of the
+ * account the session belongs to. Responds 400 with code INVALID_SESSION_ID for ids that aren't
+ * session ids and 403 with code SESSION_ACCESS_DENIED to anyone else.
+ */
+export function sessionAccess(getSessionId) {
+  return async (req, res, next) => {
+    const sessionId = getSessionId(req)
+    if (!isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session id', code: 'INVALID_SESSION_ID' })
+    }
+
+    if (verifySessionToken(req.get('x-session-token'), sessionId)) {
+      return next()
+    }
+
+    try {
+      const account = await authenticate(getBearerToken(req))
+      const session = account && await getSession(sessionId)
+      if (session?.accountId && session.accountId === account.id) {
+        req.account = account
+        return next()
+      }
+    } catch (error) {
+      console.error('Session access check failed:', error)
+      return res.status(500).json({ error: 'Failed to check access to this session' })
+    }
+
+    console.log(`Refused ${req.method} ${req.originalUrl} from ${req.ip} without access to the session`)
+    res.status(403).json({ error: 'You do not have access to this session', code: 'SESSION_ACCESS_DENIED' })
+  }
+}
+
+// Routes on /sessions/:sessionId
+export const requireSessionAccess = sessionAccess(req => req.params.sessionId)
+
+// Routes on /images/:imageId, whose ids are `${sessionId}_${style}`
+export const requireImageAccess = sessionAccess(req => String(req.params.imageId).split('_')[0])
@@ -0,0 +1,198 @@
+import express from 'express'
+import { createLogin, verifyLogin, getLoginEmail, revokeToken, normalizeEmail, getAuthPolicy } from '../services/accounts.js'
+import { findOrdersForAccount, getOrderSessionIds, isOrderPaid } from '../services/orders.js'
+import { findSessionsByAccount } from '../services/sessions.js'
+import { findImagesBySession } from '../services/imageGenerator.js'
+import { describePurchasedImages } from '../services/portraits.js'
+import { getPublicBaseUrl } from '../services/delivery.js'
+import { sendMail, renderEmail, isValidEmail } from '../services/mailer.js'
+import { getAllowedOrigins } from '../middleware/cors.js'
+import { rateLimit } from '../middleware/rateLimit.js'
+import { requireAccount, getBearerToken } from '../middleware/accountAuth.js'
+
+const router = express.Router()
+
+/**
+ * Limits for POST /api/auth/login, which sends an email on every call:
+ * LOGIN_LIMIT_PER_IP (default 10) and LOGIN_LIMIT_PER_FINGERPRINT (default 5) per hour.
+ */
+const loginRateLimit = rateLimit({
+  name: 'login',
+  windowMs: () => 60 * 60 * 1000,
+  perIp: () => parseInt(process.env.LOGIN_LIMIT_PER_IP ?? '10', 10),
+  perFingerprint: () => parseInt(process.env.LOGIN_LIMIT_PER_FINGERPRINT ?? '5', 10)
+})
+
+/**
+ * Limits for POST /api/auth/verify, so codes can't be guessed by starting login after login:
+ * VERIFY_LIMIT_PER_IP (default 30), VERIFY_LIMIT_PER_FINGERPRINT (default 20) and
+ * VERIFY_LIMIT_PER_EMAIL (default 15, for the address the login was sent to) per hour.
+ */
+const verifyRateLimit = rateLimit({
+  name: 'verify',
+  windowMs: () => 60 * 60 * 1000,
+  perIp: () => parseInt(process.env.VERIFY_LIMIT_PER_IP ?? '30', 10),
+  perFingerprint: () => parseInt(process.env.VERIFY_LIMIT_PER_FINGERPRINT ?? '20', 10),
+  perEmail: () => parseInt(process.env.VERIFY_LIMIT_PER_EMAIL ?? '15', 10),
+  getEmail: req => getLoginEmail(req.body || {})
+})
+
+// The magic link opens the app, which posts its login_token to POST /api/auth/verify.
+// Only an allowlisted Origin is trusted, or anyone could have login links point at their own site.
+function getAppUrl(req) {
+  const origin = req.get('origin')
+  if (origin && getAllowedOrigins().includes(origin)) return origin
+  return getPublicBaseUrl()
+}
+
+/**
+ * POST /api/auth/login
+ * Email a one-time code and magic link to sign in with. Body: { email }.
+ * Responds with a loginId to send back with the code to POST /api/auth/verify.
+ */
+router.post('/auth/login', loginRateLimit, async (req, res) => {
+  try {
+    const { email } = req.body
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' })
+    }
+
+    const { loginId, code, loginToken, expiresAt } = await createLogin(email)
+    const { html, text } = await renderEmail('login-code', {
+      code,
+      loginUrl: `${getAppUrl(req)}?login_token=${encodeURIComponent(loginToken)}`,
+      expiresInMinutes: Math.round(getAuthPolicy().loginTtlMs / 60000),
+      supportEmail: 'imagegen.studio.help@gmail.com'
+    })
+    // Not in the subject, which every mail transport logs
+    await sendMail({ to: normalizeEmail(email), subject: 'Your imagegen.studio login code', html, text })
+
+    res.json({ success: true, loginId, expiresAt })
+  } catch (error) {
+    console.error('Login error:', error)
+    res.status(500).json({ error: 'Failed to send login email' })
+  }
+})
+
+/**
+ * POST /api/auth/verify
+ * Exchange { loginToken } from the magic link, or { loginId, code }, for an access token.
+ * Send it as "Authorization: Bearer <token>" on the /api/me routes.
+ * Rate limited per IP, browser and email address.
+ */
+router.post('/auth/verify', verifyRateLimit, async (req, res) => {
+  try {
+    const { loginToken, loginId, code } = req.body
+    if (!loginToken && !(loginId && code)) {
+      return res.status(400).json({ error: 'loginToken, or loginId and code, required' })
+    }
+
+    const result = await verifyLogin({ loginToken, loginId, code })
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, code: result.code })
+    }
+
+    res.json({ token: result.token, expiresAt: result.expiresAt, account: { id: result.account.id, email: result.account.email } })
+  } catch (error) {
+    console.error('Login verification error:', error)
+    res.status(500).json({ error: 'Failed to verify login' })
+  }
+})
+
+/**
+ * POST /api/auth/logout
+ * Revoke the access token the request was made with
+ */
+router.post('/auth/logout', requireAccount, async (req, res) => {
+  try {
+    await revokeToken(getBearerToken(req))
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Logout error:', error)
+    res.status(500).json({ error: 'Failed to log out' })
+  }
+})
+
+/**
+ * GET /api/me
+ * The signed-in account
+ */
+router.get('/me', requireAccount, (req, res) => {
+  res.json({ id: req.account.id, email: req.account.email, createdAt: req.account.createdAt })
+})
+
+// Orders that still give access to their portraits
+function canDownload(order) {
+  return isOrderPaid(order) && !order.imagesDeletedAt
+}
+
+/**
+ * GET /api/me/orders
+ * Orders of the signed-in customer, newest first. `images` of paid orders have the shape of
+ * GET /api/images/:sessionId; unpaid, refunded, disputed or erased orders list none.
+ */
+router.get('/me/orders', requireAccount, async (req, res) => {
+  try {
+    const orders = (await findOrdersForAccount(req.account)).filter(order => order.status !== 'pending')
+
+    res.json({
+      orders: await Promise.all(orders.map(async order => ({
+        orderId: order.id,
+        status: order.status,
+        createdAt: order.createdAt,
+        paidAt: order.paidAt,
+        tier: order.tier,
+        addOns: order.addOns || [],
+        amountTotal: order.amountTotal,
+        currency: order.currency,
+        imagesDeleted: Boolean(order.imagesDeletedAt),
+        downloadUrl: canDownload(order) ? `/api/download/${order.id}` : null,
+        images: canDownload(order) ? await describePurchasedImages(order.imageIds) : []
+      })))
+    })
+  } catch (error) {
+    console.error('Get orders error:', error)
+    res.status(500).json({ error: 'Failed to get orders' })
+  }
+})
+
+/**
+ * GET /api/me/portraits
+ * Every portrait the signed-in customer bought, in the shape of GET /api/images/:sessionId
+ * plus sessionId and orderId. Portraits generated while signed in but not bought are listed
+ * under `unpurchased` with their watermarked previews only.
+ */
+router.get('/me/portraits', requireAccount, async (req, res) => {
+  try {
+    const orders = (await findOrdersForAccount(req.account)).filter(canDownload)
+
+    const images = []
+    const purchased = new Set()
+    for (const order of orders) {
+      for (const image of await describePurchasedImages(order.imageIds)) {
+        if (purchased.has(image.imageId)) continue
+        purchased.add(image.imageId)
+        images.push({ ...image, sessionId: image.imageId.split('_')[0], orderId: order.id })
+      }
+    }
+
+    const sessionIds = new Set([
+      ...(await findSessionsByAccount(req.account.id)).map(session => session.id),
+      ...orders.flatMap(getOrderSessionIds)
+    ])
+    const unpurchased = []
+    for (const sessionId of sessionIds) {
+      for (const image of await findImagesBySession(sessionId)) {
+        if (purchased.has(image.imageId)) continue
+        unpurchased.push({ imageId: image.imageId, previewUrl: image.previewUrl || null, style: image.theme, sessionId })
+      }
+    }
+
+    res.json({ images, unpurchased })
+  } catch (error) {
+    console.error('Get portraits error:', error)
+    res.status(500).json({ error: 'Failed to get portraits' })
+  }
+})
+
+export default router
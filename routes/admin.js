@@ -0,0 +1,342 @@
+import express from 'express'
+import { requireAdmin } from '../middleware/adminAuth.js'
+import { createVouchers, getVoucher, listVouchers, setVoucherDisabled, listRedemptions, completeOrderRedemption } from '../services/vouchers.js'
+import { getSession, listRecentSessions, getRegenerationLimit, isValidSessionId } from '../services/sessions.js'
+import { findImagesBySession, getImageMetadata } from '../services/imageGenerator.js'
+import {
+  getOrder, findOrdersByEmail, findOrdersForSession, isOrderPaid, isImagePurchased, markOrderFulfilled
+} from '../services/orders.js'
+import { normalizeEmail } from '../services/accounts.js'
+import { sendDeliveryEmail } from '../services/delivery.js'
+import { createGiftForOrder } from '../services/gifts.js'
+import { deleteSessionData, eraseCustomer } from '../services/retention.js'
+import { queueRegeneration } from '../services/regeneration.js'
+import { reserveGenerations } from '../services/spendCap.js'
+
+const router = express.Router()
+
+// Every route here is for staff only
+router.use('/admin', requireAdmin)
+
+// ?limit= for listings, 50 by default and at most 500
+function parseLimit(value) {
+  const limit = parseInt(value ?? '50', 10)
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, 500) : 50
+}
+
+/**
+ * POST /api/admin/vouchers
+ * Create a voucher, or `count` vouchers with generated codes (see createVouchers in services/vouchers.js)
+ */
+router.post('/admin/vouchers', async (req, res) => {
+  try {
+    const { vouchers, error } = await createVouchers(req.body)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    console.log(`Admin created ${vouchers.length} ${vouchers[0].kind} voucher(s): ${vouchers.slice(0, 5).map(voucher => voucher.code).join(', ')}${vouchers.length > 5 ? ', ...' : ''}`)
+    res.status(201).json({ vouchers })
+  } catch (error) {
+    console.error('Create vouchers error:', error)
+    res.status(500).json({ error: 'Failed to create vouchers' })
+  }
+})
+
+/**
+ * GET /api/admin/vouchers
+ * Vouchers, newest first
+ */
+router.get('/admin/vouchers', async (req, res) => {
+  try {
+    res.json({ vouchers: await listVouchers({ limit: parseLimit(req.query.limit) }) })
+  } catch (error) {
+    console.error('List vouchers error:', error)
+    res.status(500).json({ error: 'Failed to list vouchers' })
+  }
+})
+
+/**
+ * GET /api/admin/vouchers/:code
+ * One voucher with its redemptions
+ */
+router.get('/admin/vouchers/:code', async (req, res) => {
+  try {
+    const voucher = await getVoucher(req.params.code)
+    if (!voucher) {
+      return res.status(404).json({ error: 'Voucher not found' })
+    }
+
+    res.json({ voucher, redemptions: await listRedemptions({ code: voucher.code, limit: parseLimit(req.query.limit) }) })
+  } catch (error) {
+    console.error('Get voucher error:', error)
+    res.status(500).json({ error: 'Failed to get voucher' })
+  }
+})
+
+/**
+ * PATCH /api/admin/vouchers/:code
+ * Body: { disabled }. A disabled voucher can't be redeemed; past redemptions stand.
+ */
+router.patch('/admin/vouchers/:code', async (req, res) => {
+  try {
+    const { disabled } = req.body
+    if (typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be true or false' })
+    }
+    if (!await getVoucher(req.params.code)) {
+      return res.status(404).json({ error: 'Voucher not found' })
+    }
+
+    const voucher = await setVoucherDisabled(req.params.code, disabled)
+    console.log(`Admin ${disabled ? 'disabled' : 'enabled'} voucher ${voucher.code}`)
+    res.json({ voucher })
+  } catch (error) {
+    console.error('Update voucher error:', error)
+    res.status(500).json({ error: 'Failed to update voucher' })
+  }
+})
+
+/**
+ * GET /api/admin/voucher-redemptions
+ * Redemptions of every voucher (or of ?code=), newest first
+ */
+router.get('/admin/voucher-redemptions', async (req, res) => {
+  try {
+    res.json({ redemptions: await listRedemptions({ code: req.query.code || null, limit: parseLimit(req.query.limit) }) })
+  } catch (error) {
+    console.error('List redemptions error:', error)
+    res.status(500).json({ error: 'Failed to list redemptions' })
+  }
+})
+
+// What support needs to know about a generation session and how its portraits came out
+async function describeSession(session) {
+  const images = await findImagesBySession(session.id)
+  const generations = session.generations || []
+
+  return {
+    sessionId: session.id,
+    createdAt: session.createdAt,
+    originalName: session.originalName,
+    photoCount: session.photoCount,
+    composition: session.composition,
+    accountId: session.accountId,
+    styles: session.styles,
+    images: images.map(image => ({
+      imageId: image.imageId,
+      style: image.theme,
+      generationMode: image.generationMode,
+      generationMs: image.generationMs ?? null,
+      fallbackReason: image.fallbackReason ?? null,
+      version: image.version || 1
+    })),
+    fallbackStyles: images.filter(image => image.generationMode === 'fallback').map(image => image.theme),
+    regenerationsUsed: session.regenerationsUsed,
+    regenerationLimit: getRegenerationLimit(session),
+    generations,
+    lastGeneration: generations[generations.length - 1] || null
+  }
+}
+
+/**
+ * GET /api/admin/sessions
+ * Recent generation sessions, newest first, with their styles, fallbacks and timing.
+ * `fallback=true` only lists sessions with filter-only images, `failed=true` those whose
+ * last generation failed.
+ */
+router.get('/admin/sessions', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit)
+    const filtered = req.query.fallback === 'true' || req.query.failed === 'true'
+    // Filters apply after loading, so they look a bit further back to fill the page
+    const sessions = await listRecentSessions({ limit: filtered ? limit * 5 : limit })
+
+    let described = []
+    for (const session of sessions) {
+      described.push(await describeSession(session))
+    }
+    if (req.query.fallback === 'true') {
+      described = described.filter(session => session.fallbackStyles.length > 0)
+    }
+    if (req.query.failed === 'true') {
+      described = described.filter(session => session.lastGeneration?.status === 'failed')
+    }
+
+    res.json({ sessions: described.slice(0, limit) })
+  } catch (error) {
+    console.error('List sessions error:', error)
+    res.status(500).json({ error: 'Failed to list sessions' })
+  }
+})
+
+/**
+ * GET /api/admin/sessions/:sessionId
+ * One session with its orders
+ */
+router.get('/admin/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId)
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+
+    res.json({ session: await describeSession(session), orders: await findOrdersForSession(session.id) })
+  } catch (error) {
+    console.error('Get session error:', error)
+    res.status(500).json({ error: 'Failed to get session' })
+  }
+})
+
+/**
+ * POST /api/admin/sessions/:sessionId/regenerate
+ * Generate one style again, regardless of the customer's regeneration limit (the daily
+ * spend cap still applies). Body: { style }. Responds with a job like POST /api/generate.
+ * Bought portraits are refused like for customers, since the file paid for would be replaced.
+ */
+router.post('/admin/sessions/:sessionId/regenerate', async (req, res) => {
+  try {
+    const { sessionId } = req.params
+    const { style } = req.body
+
+    if (!style) {
+      return res.status(400).json({ error: 'Style required' })
+    }
+
+    const session = await getSession(sessionId)
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+    const metadata = await getImageMetadata(`${sessionId}_${style}`)
+    if (!metadata) {
+      return res.status(404).json({ error: `Style ${style} is not part of this session` })
+    }
+    if (await isImagePurchased(metadata.imageId)) {
+      return res.status(409).json({ error: 'This portrait has been bought and can no longer be regenerated', code: 'IMAGE_PURCHASED' })
+    }
+
+    const budget = await reserveGenerations(1)
+    if (!budget.allowed) {
+      return res.status(503).json({ error: 'The daily generation spend cap has been reached', code: 'DAILY_CAP_REACHED' })
+    }
+
+    const job = queueRegeneration(session, style, { requestedBy: 'admin' })
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      sessionId,
+      status: job.status,
+      statusUrl: `/api/generate/${job.id}`,
+      eventsUrl: `/api/generate/${job.id}/events`
+    })
+  } catch (error) {
+    console.error('Admin regenerate error:', error)
+    res.status(500).json({ error: 'Failed to regenerate style' })
+  }
+})
+
+/**
+ * DELETE /api/admin/sessions/:sessionId
+ * Erase a session's upload and portraits, like DELETE /api/sessions/:sessionId
+ */
+router.delete('/admin/sessions/:sessionId', async (req, res) => {
+  try {
+    if (!isValidSessionId(req.params.sessionId)) {
+      return res.status(400).json({ error: 'Invalid session id', code: 'INVALID_SESSION_ID' })
+    }
+
+    const result = await deleteSessionData(req.params.sessionId, { reason: 'admin' })
+    if (!result) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+
+    res.json({ success: true, ...result })
+  } catch (error) {
+    console.error('Admin delete session error:', error)
+    res.status(500).json({ error: 'Failed to delete session' })
+  }
+})
+
+/**
+ * GET /api/admin/orders
+ * Look up orders by Stripe Checkout session id (`session`) or customer `email`
+ */
+router.get('/admin/orders', async (req, res) => {
+  try {
+    const { session, email } = req.query
+
+    if (session) {
+      const order = await getOrder(session)
+      return res.json({ orders: order ? [order] : [] })
+    }
+    if (email) {
+      return res.json({ orders: await findOrdersByEmail(normalizeEmail(email)) })
+    }
+    res.status(400).json({ error: 'Give a session or email to look up' })
+  } catch (error) {
+    console.error('Look up orders error:', error)
+    res.status(500).json({ error: 'Failed to look up orders' })
+  }
+})
+
+/**
+ * POST /api/admin/orders/:id/fulfill
+ * Mark an order paid and fulfilled by hand (see markOrderFulfilled), then deliver it as the
+ * webhook would: download email, gift and voucher. Body: { note }.
+ */
+router.post('/admin/orders/:id/fulfill', async (req, res) => {
+  try {
+    const existing = await getOrder(req.params.id)
+    if (!existing) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+    if (existing.accessRevokedAt) {
+      return res.status(409).json({ error: `This order was ${existing.accessRevokedReason}`, code: 'ORDER_REVOKED' })
+    }
+    if (isOrderPaid(existing) && existing.fulfillmentStatus === 'fulfilled') {
+      return res.status(409).json({ error: 'This order is already fulfilled', code: 'ORDER_ALREADY_FULFILLED' })
+    }
+
+    const order = await markOrderFulfilled(existing.id, { note: req.body.note ? String(req.body.note).slice(0, 500) : null })
+    console.log(`Admin marked order ${order.id} fulfilled`)
+
+    let emailSent = false
+    if (order.customerEmail && !order.lastDeliveryEmailAt && !order.imagesDeletedAt) {
+      try {
+        await sendDeliveryEmail(order)
+        emailSent = true
+      } catch (error) {
+        console.error(`Delivery email for order ${order.id} failed:`, error.message)
+      }
+    }
+    if (order.gift && !order.giftToken) {
+      await createGiftForOrder(order)
+    }
+    if (order.voucherCode) {
+      await completeOrderRedemption(order.id)
+    }
+
+    res.json({ order: await getOrder(order.id), emailSent })
+  } catch (error) {
+    console.error('Fulfill order error:', error)
+    res.status(500).json({ error: 'Failed to fulfill order' })
+  }
+})
+
+/**
+ * DELETE /api/admin/customers/:email
+ * Erase a customer (see eraseCustomer in services/retention.js): their sessions, gifts, account,
+ * access tokens and logins. Orders are kept for bookkeeping with the customer's details removed.
+ * Responds with what was removed.
+ */
+router.delete('/admin/customers/:email', async (req, res) => {
+  try {
+    res.json({ success: true, ...await eraseCustomer(req.params.email) })
+  } catch (error) {
+    console.error('Erase customer error:', error)
+    res.status(500).json({ error: 'Failed to delete customer data' })
+  }
+})
+
+export default router
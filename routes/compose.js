@@ -0,0 +1,84 @@
+import express from 'express'
+import crypto from 'crypto'
+import { getImageMetadata, publishComposition, addImageComposition } from '../services/imageGenerator.js'
+import { listCompositionOptions, parseCompositionRequest, composeImage } from '../services/compositor.js'
+import { readOriginal } from '../services/portraits.js'
+import { isImagePurchased } from '../services/orders.js'
+import { createSignedUrl, getSignedUrlTtl } from '../services/storage.js'
+import { composeRateLimit } from '../middleware/rateLimit.js'
+import { requireImageAccess } from '../middleware/sessionAccess.js'
+
+const router = express.Router()
+
+// Composed variants kept per image, so storage can't be filled one render at a time
+const MAX_COMPOSITIONS_PER_IMAGE = 20
+
+/**
+ * GET /api/compose-options
+ * Layouts, frames, fonts and text limits for POST /api/images/:imageId/compose
+ */
+router.get('/compose-options', (req, res) => {
+  res.json(listCompositionOptions())
+})
+
+/**
+ * POST /api/images/:imageId/compose
+ * Render a portrait into a layout with a frame and text, and store the result as a new variant.
+ * Body: { layout, frame, font, text: { title, subtitle, message, signature } } (see GET /api/compose-options).
+ * Like the portraits themselves, the variant comes with a watermarked previewUrl; imageUrl is a
+ * signed URL to the full-resolution file once the portrait has been paid for, null before.
+ * Needs the session token from POST /api/generate or the owning account's access token.
+ */
+router.post('/images/:imageId/compose', composeRateLimit, requireImageAccess, async (req, res) => {
+  try {
+    const { imageId } = req.params
+
+    const { options, error } = parseCompositionRequest(req.body)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const metadata = await getImageMetadata(imageId)
+    if (!metadata) {
+      return res.status(404).json({ error: 'Image not found' })
+    }
+    if ((metadata.compositions || []).length >= MAX_COMPOSITIONS_PER_IMAGE) {
+      return res.status(409).json({ error: 'This portrait has reached its limit of composed variants', code: 'COMPOSITION_LIMIT' })
+    }
+
+    const buffer = await composeImage(await readOriginal(metadata), { ...options, focus: metadata.crop?.focus })
+
+    const variantId = `${options.layout}-${crypto.randomBytes(4).toString('hex')}`
+    const { storagePath, previewUrl } = await publishComposition(buffer, {
+      sessionId: metadata.sessionId,
+      style: metadata.theme,
+      variantId
+    })
+
+    const composition = { variantId, ...options, storagePath, previewUrl, createdAt: new Date().toISOString() }
+    // Checked again as it is added, in case parallel requests took the last places
+    if (!await addImageComposition(imageId, composition, { maxCompositions: MAX_COMPOSITIONS_PER_IMAGE })) {
+      return res.status(409).json({ error: 'This portrait has reached its limit of composed variants', code: 'COMPOSITION_LIMIT' })
+    }
+    console.log(`Composed ${imageId} as ${variantId}`)
+
+    const ttl = getSignedUrlTtl()
+    const purchased = await isImagePurchased(imageId)
+    res.status(201).json({
+      variantId,
+      imageId,
+      layout: options.layout,
+      frame: options.frame,
+      font: options.font,
+      text: options.text,
+      previewUrl,
+      imageUrl: purchased ? await createSignedUrl(storagePath, ttl) : null,
+      expiresAt: purchased ? new Date(Date.now() + ttl * 1000).toISOString() : null
+    })
+  } catch (error) {
+    console.error('Compose error:', error)
+    res.status(500).json({ error: 'Failed to compose image' })
+  }
+})
+
+export default router
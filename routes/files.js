@@ -0,0 +1,29 @@
+import express from 'express'
+import { verifySignedToken } from '../services/signing.js'
+import { localPath } from '../services/storage.js'
+
+const router = express.Router()
+
+/**
+ * GET /api/files?token=...
+ * Serve a private object from local storage through a signed, expiring link
+ * (the local equivalent of Supabase signed URLs)
+ */
+router.get('/files', (req, res) => {
+  const payload = verifySignedToken(req.query.token)
+  if (!payload?.path) {
+    return res.status(403).json({ error: 'Invalid or expired link' })
+  }
+
+  const filePath = localPath(payload.path, true)
+  if (payload.download) {
+    return res.download(filePath, payload.download)
+  }
+  res.sendFile(filePath, { headers: { 'Cache-Control': 'private, no-store' } }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'File not found' })
+    }
+  })
+})
+
+export default router
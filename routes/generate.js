@@ -1,69 +1,265 @@
 import express from 'express'
 import multer from 'multer'
+import { v4 as uuidv4 } from 'uuid'
 import { generatePortraitPack, storeImageMetadata } from '../services/imageGenerator.js'
+import { listStyles, getDefaultStyles, getMaxStylesPerPack, resolveStyleSelection } from '../services/styles.js'
+import { createJob, getJob, runJob, serializeJob, subscribeToJob, isJobFinished, publicImage } from '../services/jobs.js'
+import { createSession, updateSession, trackGeneration, createSessionToken } from '../services/sessions.js'
+import { validateUpload, ImageValidationError } from '../services/imageValidation.js'
+import { reserveGenerations } from '../services/spendCap.js'
+import { generateRateLimit } from '../middleware/rateLimit.js'
+import { verifyHuman, createChallenge, getVerificationMode } from '../middleware/humanVerification.js'
+import { optionalAccount } from '../middleware/accountAuth.js'
 
 const router = express.Router()
 
-// Configure multer for memory storage
+// Configure multer for memory storage. The file type is checked from its
+// magic bytes by validateUpload, since the client-supplied mimetype can't be trusted.
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true)
-    } else {
-      cb(new Error('Only image files are allowed'), false)
+  }
+})
+
+// One photo of the couple as `image`, or two individual selfies as `images`
+const MAX_PHOTOS = 2
+const receivePhotos = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_PHOTOS }
+])
+
+// Run multer, answering its errors (file too large, too many files) with a structured code.
+// The accepted photos end up in req.photos.
+function receiveUpload(req, res, next) {
+  receivePhotos(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'Photos can be at most 10MB', code: 'FILE_TOO_LARGE' })
     }
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Upload at most ${MAX_PHOTOS} photos`, code: 'TOO_MANY_FILES' })
+    }
+    if (err) {
+      return res.status(400).json({ error: err.message, code: 'INVALID_UPLOAD' })
+    }
+
+    req.photos = [...(req.files?.image || []), ...(req.files?.images || [])]
+    if (req.photos.length > MAX_PHOTOS) {
+      return res.status(400).json({ error: `Upload at most ${MAX_PHOTOS} photos`, code: 'TOO_MANY_FILES' })
+    }
+    next()
+  })
+}
+
+// Multipart `styles` field: a JSON array, a comma-separated list or repeated fields
+function parseStylesField(value) {
+  if (!value) return []
+  if (Array.isArray(value)) return value.flatMap(parseStylesField)
+  if (value.trim().startsWith('[')) return JSON.parse(value)
+  return value.split(',').map(style => style.trim()).filter(Boolean)
+}
+
+/**
+ * GET /api/styles
+ * List the styles customers can pick for a pack
+ */
+router.get('/styles', (req, res) => {
+  res.json({
+    styles: listStyles().map(({ id, name, displayName }) => ({ id, name, displayName })),
+    defaultPack: getDefaultStyles(),
+    maxPerPack: getMaxStylesPerPack()
+  })
+})
+
+/**
+ * GET /api/challenge
+ * Proof-of-work challenge for POST /api/generate when HUMAN_VERIFICATION is 'pow'
+ */
+router.get('/challenge', (req, res) => {
+  if (getVerificationMode() !== 'pow') {
+    return res.json({ mode: getVerificationMode() })
   }
+  res.json({ mode: 'pow', ...createChallenge() })
 })
 
 /**
  * POST /api/generate
- * Upload an image and generate a 3-pack of styled portraits
+ * Upload an image and start generating a pack of styled portraits.
+ * Either one photo of the couple as `image`, or two separate selfies as `images`,
+ * which are combined into one couple photo before the styles are generated.
+ * Optional `styles` field picks the styles (see GET /api/styles); defaults to the 3-pack.
+ * Unsupported, damaged, oversized, tiny or blurry photos are refused with an error `code`.
+ * Rate limited per IP and browser, capped by the daily generation budget and, depending on
+ * HUMAN_VERIFICATION, only accepted with a CAPTCHA token or proof of work.
+ * With an access token (see POST /api/auth/verify) the session is linked to the customer's account.
+ * Responds immediately with a job id; poll GET /api/generate/:jobId for results.
+ * The `sessionToken` in the response lets the uploader delete the session later.
+ * Styles that fell back to a filter are listed under `regenerate`, see POST /api/sessions/:sessionId/regenerate.
  */
-router.post('/generate', upload.single('image'), async (req, res) => {
+router.post('/generate', verifyHuman, generateRateLimit, optionalAccount, receiveUpload, async (req, res) => {
   console.log('=== /api/generate called ===')
-  console.log('File received:', req.file ? `${req.file.originalname} (${req.file.size} bytes)` : 'NO FILE')
+  console.log('Files received:', req.photos.length > 0
+    ? req.photos.map(file => `${file.originalname} (${file.size} bytes)`).join(', ')
+    : 'NO FILE')
 
+  if (req.photos.length === 0) {
+    console.log('ERROR: No image file provided')
+    return res.status(400).json({ error: 'No image file provided', code: 'NO_FILE' })
+  }
+
+  let requestedStyles
   try {
-    if (!req.file) {
-      console.log('ERROR: No image file provided')
-      return res.status(400).json({ error: 'No image file provided' })
+    requestedStyles = parseStylesField(req.body.styles)
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid styles field', code: 'INVALID_STYLES' })
+  }
+
+  const { styles, error } = resolveStyleSelection(requestedStyles)
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  const originalname = req.photos.map(file => file.originalname).join(' + ')
+  const mimetype = req.photos[0].mimetype
+
+  // Refuse unreadable, oversized, tiny or blurry photos before any generation is paid for
+  const buffers = []
+  for (const file of req.photos) {
+    try {
+      buffers.push((await validateUpload(file.buffer)).buffer)
+    } catch (error) {
+      if (error instanceof ImageValidationError) {
+        console.log(`Rejected upload ${file.originalname}: ${error.code}`)
+        return res.status(error.status).json({ error: error.message, code: error.code, file: file.originalname })
+      }
+      console.error('Upload validation failed:', error)
+      return res.status(500).json({ error: 'Failed to read the uploaded photo' })
     }
+  }
+  // One generation per style, plus one to compose two selfies into a couple photo; retries reserve their own
+  const budget = await reserveGenerations(styles.length + (buffers.length > 1 ? 1 : 0))
+  if (!budget.allowed) {
+    return res.status(503).json({ error: 'We are at capacity for today, please try again tomorrow', code: 'DAILY_CAP_REACHED' })
+  }
 
-    console.log('Starting 3-pack portrait generation...')
+  const sessionId = uuidv4()
+  const accountId = req.account?.id || null
+  const job = createJob({ styles, sessionId, originalName: originalname })
 
-    // Generate the portrait pack (3 styles)
-    const result = await generatePortraitPack(req.file.buffer)
+  console.log(`Queued portrait generation of ${styles.join(', ')} as job ${job.id}`)
 
-    console.log('Generation result:', result)
+  runJob(job, async (onProgress) => {
+    await createSession({ id: sessionId, styles, originalName: originalname, photoCount: buffers.length, accountId })
 
-    // Store metadata for all 3 images
-    for (const img of result.images) {
-      storeImageMetadata(img.imageId, {
-        theme: img.style,
-        originalName: req.file.originalname,
-        mimeType: req.file.mimetype,
-        imageUrl: img.imageUrl,
-        sessionId: result.sessionId
-      })
+    const pendingWrites = []
+    const result = await trackGeneration(sessionId, { jobId: job.id, kind: 'pack', styles, requestedBy: 'customer' }, () =>
+      generatePortraitPack(buffers.length > 1 ? buffers : buffers[0], (progress) => {
+        // Store metadata as soon as each image is ready so it can be purchased
+        if (progress.stage === 'completed') {
+          pendingWrites.push(storeImageMetadata(progress.image.imageId, {
+            theme: progress.style,
+            originalName: originalname,
+            mimeType: mimetype,
+            imageUrl: progress.image.imageUrl,
+            previewUrl: progress.image.previewUrl,
+            storagePath: progress.image.storagePath,
+            masterPath: progress.image.masterPath,
+            crop: progress.image.crop,
+            generationMode: progress.image.generationMode,
+            generationMs: progress.image.generationMs,
+            fallbackReason: progress.image.fallbackReason,
+            sessionId: progress.sessionId
+          }))
+        }
+        onProgress(progress)
+      }, { styles, sessionId })
+    )
+    await Promise.all(pendingWrites)
+    if (result.composition) {
+      await updateSession(sessionId, { composition: result.composition })
     }
 
-    console.log('Sending response with', result.images.length, 'images')
+    console.log(`Job ${job.id} finished with`, result.images.length, 'images')
+    return result
+  })
 
-    res.json({
-      success: true,
-      sessionId: result.sessionId,
-      images: result.images
-    })
-  } catch (error) {
-    console.error('=== GENERATION ERROR ===')
-    console.error('Error message:', error.message)
-    console.error('Error stack:', error.stack)
-    res.status(500).json({ error: 'Failed to generate portraits', details: error.message })
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    sessionId,
+    sessionToken: createSessionToken(sessionId),
+    status: job.status,
+    statusUrl: `/api/generate/${job.id}`,
+    eventsUrl: `/api/generate/${job.id}/events`
+  })
+})
+
+/**
+ * GET /api/generate/:jobId
+ * Get the state of a generation job, including each style finished so far
+ */
+router.get('/generate/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId)
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' })
   }
+
+  res.json(serializeJob(job))
+})
+
+// Interval for SSE comment lines that keep proxies (e.g. the Heroku router) from closing the stream
+const SSE_KEEPALIVE_MS = 15000
+
+/**
+ * GET /api/generate/:jobId/events
+ * Server-Sent Events stream of a generation job: 'progress' before each style,
+ * 'image' as each portrait is ready, 'fallback' notices and a final 'complete' or 'failed'
+ */
+router.get('/generate/:jobId/events', (req, res) => {
+  const job = getJob(req.params.jobId)
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' })
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  // Replay what already happened so late subscribers catch up
+  send('status', serializeJob(job))
+  for (const image of job.images) {
+    send('image', { style: image.style, image: publicImage(image) })
+  }
+
+  if (isJobFinished(job)) {
+    send(job.status, serializeJob(job))
+    return res.end()
+  }
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS)
+
+  const unsubscribe = subscribeToJob(job.id, (type, data) => {
+    send(type, data)
+    if (type === 'complete' || type === 'failed') {
+      cleanup()
+      res.end()
+    }
+  })
+
+  function cleanup() {
+    clearInterval(keepAlive)
+    unsubscribe()
+  }
+
+  req.on('close', cleanup)
 })
 
 export default router
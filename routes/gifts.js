@@ -0,0 +1,156 @@
+import express from 'express'
+import archiver from 'archiver'
+import { getGift, markGiftRedeemed, renderGiftCard } from '../services/gifts.js'
+import { getOrder, isOrderPaid } from '../services/orders.js'
+import { getImageMetadata } from '../services/imageGenerator.js'
+import { getDisplayName } from '../services/styles.js'
+import { describePurchasedImages, readOriginal } from '../services/portraits.js'
+
+const router = express.Router()
+
+/**
+ * Load a gift and the order that paid for it.
+ * Returns { gift, order } or { status, error, code } for the route to send.
+ */
+async function loadGift(token) {
+  const gift = await getGift(token)
+  if (!gift) {
+    return { status: 404, error: 'Gift not found' }
+  }
+
+  // Until it is due, a scheduled gift is a surprise even to whoever has the link
+  if (gift.status === 'scheduled' && gift.deliverAt > new Date().toISOString()) {
+    return { status: 404, error: 'Gift not found' }
+  }
+
+  const order = await getOrder(gift.orderId)
+  if (gift.status === 'cancelled' || !isOrderPaid(order)) {
+    return { status: 410, error: 'This gift is no longer available', code: 'GIFT_UNAVAILABLE' }
+  }
+  if (order.imagesDeletedAt) {
+    return { status: 410, error: 'These portraits have been deleted' }
+  }
+  return { gift, order }
+}
+
+// "Jane & Joe" -> "Jane-Joe", for file names; `ascii` also drops accents and other scripts
+function fileSafe(value, { ascii = false } = {}) {
+  const text = ascii ? String(value).normalize('NFKD').replace(/[^\x00-\x7f]/g, '') : String(value)
+  return text.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'you'
+}
+
+// Header values must be Latin-1, so the file name goes in filename* (RFC 5987) with an ASCII
+// fallback for clients that don't read it. `fileName(ascii)` builds either one.
+function contentDisposition(type, fileName) {
+  const encoded = encodeURIComponent(fileName(false)).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+  return `${type}; filename="${fileName(true)}"; filename*=UTF-8''${encoded}`
+}
+
+/**
+ * GET /api/gifts/:token
+ * A gift as its recipient sees it: who it is from, the message and the portraits
+ * (in the shape of GET /api/images/:sessionId). The first visit after delivery redeems it.
+ */
+router.get('/gifts/:token', async (req, res) => {
+  try {
+    const { gift, order, status, error, code } = await loadGift(req.params.token)
+    if (!gift) {
+      return res.status(status).json({ error, code })
+    }
+
+    const current = gift.status === 'delivered' ? await markGiftRedeemed(gift) : gift
+    const base = `/api/gifts/${encodeURIComponent(gift.id)}`
+
+    res.json({
+      recipientName: current.recipientName,
+      fromName: current.fromName,
+      message: current.message,
+      status: current.status,
+      deliverAt: current.deliverAt,
+      redeemedAt: current.redeemedAt,
+      images: await describePurchasedImages(order.imageIds),
+      cardUrl: `${base}/card`,
+      downloadUrl: `${base}/download`
+    })
+  } catch (error) {
+    console.error('Get gift error:', error)
+    res.status(500).json({ error: 'Failed to get gift' })
+  }
+})
+
+/**
+ * GET /api/gifts/:token/card
+ * The greeting card (5x7 in JPEG) with the gift message.
+ * Optional `imageId` picks the portrait on the front; the first of the gift by default.
+ */
+router.get('/gifts/:token/card', async (req, res) => {
+  try {
+    const { gift, order, status, error, code } = await loadGift(req.params.token)
+    if (!gift) {
+      return res.status(status).json({ error, code })
+    }
+
+    const imageId = req.query.imageId || order.imageIds[0]
+    if (!order.imageIds.includes(imageId)) {
+      return res.status(400).json({ error: `Image ${imageId} is not part of this gift` })
+    }
+
+    const card = await renderGiftCard(gift, order, imageId)
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Content-Disposition': contentDisposition('inline', ascii => `Valentine-Card-${fileSafe(gift.recipientName, { ascii })}.jpg`)
+    })
+    res.send(card)
+  } catch (error) {
+    console.error('Gift card error:', error)
+    res.status(500).json({ error: 'Failed to create greeting card' })
+  }
+})
+
+/**
+ * GET /api/gifts/:token/download
+ * ZIP with the portraits, the greeting card and the message
+ */
+router.get('/gifts/:token/download', async (req, res) => {
+  try {
+    const { gift, order, status, error, code } = await loadGift(req.params.token)
+    if (!gift) {
+      return res.status(status).json({ error, code })
+    }
+
+    const folderName = `Valentines for ${fileSafe(gift.recipientName)} - imagegen.studio`
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': contentDisposition('attachment', ascii => `Valentines for ${fileSafe(gift.recipientName, { ascii })} - imagegen.studio.zip`)
+    })
+
+    const archive = archiver('zip', { zlib: { level: 5 } })
+    archive.pipe(res)
+
+    try {
+      archive.append(await renderGiftCard(gift, order), { name: `${folderName}/Valentine-Card.jpg` })
+    } catch (err) {
+      console.error(`Failed to create greeting card for gift of order ${order.id}:`, err)
+    }
+
+    for (const id of order.imageIds) {
+      try {
+        const metadata = await getImageMetadata(id)
+        const themeName = getDisplayName(metadata.theme) || 'Portrait'
+        archive.append(await readOriginal(metadata), { name: `${folderName}/Valentine-Portrait-${themeName}.jpg` })
+      } catch (err) {
+        console.error(`Failed to fetch image ${id}:`, err)
+      }
+    }
+
+    const signature = gift.fromName ? `\n\nWith love,\n${gift.fromName}` : ''
+    archive.append(`For ${gift.recipientName}\n\n${gift.message}${signature}\n`, { name: `${folderName}/Message.txt` })
+
+    await archive.finalize()
+  } catch (error) {
+    console.error('Gift download error:', error)
+    res.status(500).json({ error: 'Failed to download gift' })
+  }
+})
+
+export default router
@@ -0,0 +1,49 @@
+import express from 'express'
+import { getOrder, isOrderPaid } from '../services/orders.js'
+import { sendDeliveryEmail } from '../services/delivery.js'
+import { resendRateLimit } from '../middleware/rateLimit.js'
+
+const router = express.Router()
+
+// "jane.doe@example.com" -> "j***e@example.com"
+function maskEmail(email) {
+  const [local, domain] = email.split('@')
+  const visible = local.length > 2 ? `${local[0]}***${local[local.length - 1]}` : `${local[0]}***`
+  return `${visible}@${domain}`
+}
+
+/**
+ * POST /api/orders/:id/resend
+ * Send the delivery email of a paid order again, with fresh links.
+ * It always goes to the address the order was paid with.
+ */
+router.post('/orders/:id/resend', resendRateLimit, async (req, res) => {
+  try {
+    const order = await getOrder(req.params.id)
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+    if (order.accessRevokedAt) {
+      return res.status(403).json({ error: `This order was ${order.accessRevokedReason}`, code: `ORDER_${order.accessRevokedReason.toUpperCase()}` })
+    }
+    if (!isOrderPaid(order)) {
+      return res.status(402).json({ error: 'Payment not completed' })
+    }
+    if (order.imagesDeletedAt) {
+      return res.status(410).json({ error: 'These portraits have been deleted' })
+    }
+    if (!order.customerEmail) {
+      return res.status(409).json({ error: 'This order has no email address', code: 'NO_EMAIL' })
+    }
+
+    await sendDeliveryEmail(order)
+
+    res.json({ success: true, sentTo: maskEmail(order.customerEmail) })
+  } catch (error) {
+    console.error('Resend error:', error)
+    res.status(500).json({ error: 'Failed to send email' })
+  }
+})
+
+export default router
@@ -1,7 +1,29 @@
 import express from 'express'
+import crypto from 'crypto'
 import Stripe from 'stripe'
 import { getImagePath, getImageMetadata } from '../services/imageGenerator.js'
 import archiver from 'archiver'
+import { getStyle, getDisplayName } from '../services/styles.js'
+import { getObject } from '../services/storage.js'
+import { verifySignedToken } from '../services/signing.js'
+import { OUTPUT_PRESETS, OUTPUT_FORMATS, DEFAULT_PRESET, DEFAULT_FORMAT, parseSelection, renderVariant } from '../services/renditions.js'
+import { PRINT_SIZES, DEFAULT_PRINT_SIZE, getPrintOptions, renderPrintFile } from '../services/printExport.js'
+import { resolveCurrency, quoteCheckout, listTiers, listAddOns, listCurrencies } from '../services/pricing.js'
+import {
+  createOrder, getOrder, isOrderPaid, isStripeOrderId, hasAddOn, recordCheckoutSession, recordDownload, findOrderByPaymentIntent,
+  revokeOrderAccess, recordRefund, recordPaymentFailure, deleteOrder
+} from '../services/orders.js'
+import { claimEvent, markEventProcessed, releaseEvent } from '../services/webhookEvents.js'
+import { sendDeliveryEmail } from '../services/delivery.js'
+import { isValidEmail } from '../services/mailer.js'
+import { describePurchasedImages } from '../services/portraits.js'
+import { normalizeEmail } from '../services/accounts.js'
+import { optionalAccount } from '../middleware/accountAuth.js'
+import { voucherRateLimit } from '../middleware/rateLimit.js'
+import { parseGiftRequest, createGiftForOrder } from '../services/gifts.js'
+import {
+  checkVoucher, discountFor, redeemVoucher, assignRedemptionOrder, releaseRedemption, completeOrderRedemption, releaseOrderRedemption
+} from '../services/vouchers.js'
 
 const router = express.Router()
 
@@ -14,155 +36,466 @@ function getStripe() {
   return stripe
 }
 
-const checkoutSessions = new Map()
+/**
+ * Apply FALLBACK_CHECKOUT_POLICY to a selection that contains filter-only (fallback) images:
+ * - 'refuse' (default): no checkout until the affected styles are regenerated
+ * - 'discount': each fallback image takes FALLBACK_DISCOUNT_PERCENT (default 100) of its share off the price
+ * - 'allow': charge the full price
+ * Prices start from the tier price of the checkout quote (see quoteCheckout).
+ * Returns { unitAmount } or { error } when the checkout must be refused.
+ */
+function priceWithFallbackPolicy(images, { imagesAmount, minimumAmount }) {
+  const fallbackCount = images.filter(img => img.generationMode === 'fallback').length
+  if (fallbackCount === 0) {
+    return { unitAmount: imagesAmount }
+  }
+
+  const policy = process.env.FALLBACK_CHECKOUT_POLICY || 'refuse'
+  if (policy === 'allow') {
+    return { unitAmount: imagesAmount }
+  }
+
+  const percent = parseInt(process.env.FALLBACK_DISCOUNT_PERCENT ?? '100', 10)
+  const discount = Math.round(imagesAmount * (fallbackCount / images.length) * (percent / 100))
+  const unitAmount = imagesAmount - discount
+
+  // Stripe can't charge less than its minimum (e.g. $0.50), so a pack that would cost less is refused as well
+  if (policy !== 'discount' || unitAmount < minimumAmount) {
+    return { error: 'Some portraits could not be AI-generated and need to be regenerated before checkout' }
+  }
+  return { unitAmount, discounted: true }
+}
+
+/**
+ * Take a discount voucher off the images and then the add-ons.
+ * A voucher covering everything makes the order free; one that would leave less than Stripe's
+ * minimum charge to pay only takes the price down to that minimum.
+ * Returns { discount, unitAmount, addOns } with the discounted amounts.
+ */
+function applyVoucher(voucher, { unitAmount, addOns, minimumAmount }) {
+  const total = unitAmount + addOns.reduce((sum, addOn) => sum + addOn.amount, 0)
+  let discount = discountFor(voucher, total)
+  if (discount < total && total - discount < minimumAmount) {
+    discount = Math.max(0, total - minimumAmount)
+  }
+
+  let remaining = discount
+  const takeOff = (amount) => {
+    const taken = Math.min(amount, remaining)
+    remaining -= taken
+    return amount - taken
+  }
+  return {
+    discount,
+    unitAmount: takeOff(unitAmount),
+    addOns: addOns.map(addOn => ({ ...addOn, amount: takeOff(addOn.amount) }))
+  }
+}
+
+// "Oil Painting, Studio Ghibli and Renaissance"
+function listStyleNames(images) {
+  const names = images.map(img => getStyle(img.theme)?.name || getDisplayName(img.theme) || img.theme)
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]
+}
+
+// Line item text for the images actually being bought
+function describeSelection(images, discounted) {
+  const count = images.length
+  const portraits = count === 1 ? 'Unique 4K AI Art Portrait' : `${count} Unique 4K AI Art Portraits`
+  const description = `${portraits} (2160x3840) - ${listStyleNames(images)}`
+  return discounted
+    ? `${description} - discounted, some styles use a filter instead of AI art`
+    : description
+}
+
+// Mock checkouts and orders a voucher paid in full never see Stripe, so they are paid and
+// delivered right away
+async function createPaidOrder(details) {
+  const order = await createOrder({ ...details, paid: true })
+  if (order.customerEmail) {
+    await emailDeliveryLink(order)
+  }
+  return { order, gift: await createGiftForOrder(order) }
+}
+
+// A failed email must not fail the payment: the customer can still download from success_url
+// and ask for the email again (POST /api/orders/:id/resend)
+async function emailDeliveryLink(order) {
+  try {
+    await sendDeliveryEmail(order)
+  } catch (error) {
+    console.error(`Delivery email for order ${order.id} failed:`, error.message)
+  }
+}
+
+/**
+ * Load the order for a checkout session and make sure it has been paid.
+ * The webhook is the source of truth; Stripe is only asked directly when the customer
+ * lands on success_url before the webhook for their session has arrived.
+ * Returns { order } or { status, error, code } for the route to send.
+ */
+async function getPaidOrder(sessionId) {
+  let order = await getOrder(sessionId)
+
+  if (!isOrderPaid(order) && !order?.accessRevokedAt && isStripeOrderId(sessionId)) {
+    if (!getStripe()) {
+      return { status: 500, error: 'Payment system not configured' }
+    }
+    const session = await getStripe().checkout.sessions.retrieve(sessionId)
+    order = await recordCheckoutSession(session)
+  }
+
+  if (!order) {
+    return { status: 404, error: 'Session not found' }
+  }
+  if (order.accessRevokedAt) {
+    return {
+      status: 403,
+      error: order.accessRevokedReason === 'refunded' ? 'This order was refunded' : 'This order is disputed',
+      code: order.accessRevokedReason === 'refunded' ? 'ORDER_REFUNDED' : 'ORDER_DISPUTED'
+    }
+  }
+  if (!isOrderPaid(order)) {
+    return { status: 402, error: 'Payment not completed' }
+  }
+  if (order.imagesDeletedAt) {
+    return { status: 410, error: 'These portraits have been deleted' }
+  }
+  return { order }
+}
+
+/**
+ * GET /api/pricing
+ * Tiers and add-ons in the customer's currency (from `currency`, `locale` or Accept-Language)
+ */
+router.get('/pricing', (req, res) => {
+  const currency = resolveCurrency({
+    currency: req.query.currency,
+    locale: req.query.locale,
+    acceptLanguage: req.get('accept-language')
+  })
+
+  res.json({
+    currency,
+    currencies: listCurrencies(),
+    tiers: listTiers(currency),
+    addOns: listAddOns(currency)
+  })
+})
+
+function limitVoucherAttempts(req, res, next) {
+  return req.body?.voucher ? voucherRateLimit(req, res, next) : next()
+}
 
 /**
  * POST /api/create-checkout
- * Create a Stripe Checkout session for purchasing images (single or bundle)
+ * Create a Stripe Checkout session for purchasing images (single or bundle).
+ * Optional `tier` (see GET /api/pricing; the cheapest tier covering the images otherwise),
+ * `addOns`, and `currency` or `locale` to charge in the customer's currency.
+ * Optional `email` prefills Stripe Checkout; the download link is emailed there after payment.
+ * Signed-in customers get the order linked to their account (and their email by default).
+ * Optional `gift` ({ recipientName, recipientEmail, message, fromName, deliverAt }) buys the
+ * portraits as a gift: after payment the recipient is emailed a link to GET /api/gifts/:token.
+ * Optional `voucher` redeems a discount code (see services/vouchers.js); when it covers the
+ * whole price the order is paid without going through Stripe. Checkouts with a voucher count
+ * towards the voucher rate limit, so codes can't be guessed here either.
  */
-router.post('/create-checkout', async (req, res) => {
+router.post('/create-checkout', limitVoucherAttempts, optionalAccount, async (req, res) => {
   try {
-    const { imageId, imageIds, bundle } = req.body
+    const { imageId, imageIds, tier: tierId, addOns: requestedAddOns, currency: requestedCurrency, locale, email, gift: giftRequest, voucher: voucherCode } = req.body
+
+    if (imageIds !== undefined && !(Array.isArray(imageIds) && imageIds.length > 0 && imageIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'imageIds must be a non-empty array of image IDs', code: 'INVALID_IMAGE_IDS' })
+    }
+    if (imageId !== undefined && typeof imageId !== 'string') {
+      return res.status(400).json({ error: 'imageId must be an image ID', code: 'INVALID_IMAGE_IDS' })
+    }
 
     // Handle both single image and bundle
-    const ids = imageIds?.length ? imageIds : (imageId ? [imageId] : [])
+    const ids = imageIds ? [...new Set(imageIds)] : (imageId ? [imageId] : [])
 
     if (ids.length === 0) {
       return res.status(400).json({ error: 'Image ID(s) required' })
     }
+    if (email !== undefined && !isValidEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' })
+    }
+    const { gift, error: giftError } = giftRequest ? parseGiftRequest(giftRequest) : { gift: null }
+    if (giftError) {
+      return res.status(400).json({ error: giftError })
+    }
+
+    const currency = resolveCurrency({ currency: requestedCurrency, locale, acceptLanguage: req.get('accept-language') })
+    const addOns = [...new Set(requestedAddOns || [])]
+    const quote = quoteCheckout({ imageCount: ids.length, tierId, addOns, currency })
+    if (quote.error) {
+      return res.status(400).json({ error: quote.error })
+    }
 
     // Verify all images exist
+    const images = []
     for (const id of ids) {
-      const metadata = getImageMetadata(id)
+      const metadata = await getImageMetadata(id)
       if (!metadata) {
         return res.status(404).json({ error: `Image ${id} not found` })
       }
+      images.push(metadata)
     }
 
-    // Mock checkout for testing without Stripe
-    if (!getStripe()) {
-      console.log('Stripe not configured - returning mock checkout URL')
-      const mockSessionId = `mock_${Date.now()}_bundle`
-      checkoutSessions.set(mockSessionId, { imageIds: ids, paid: true })
+    const { unitAmount, discounted, error } = priceWithFallbackPolicy(images, quote)
+    if (error) {
+      const fallbackImages = images.filter(img => img.generationMode === 'fallback')
+      return res.status(409).json({
+        error,
+        code: 'FALLBACK_IMAGES',
+        fallbackStyles: fallbackImages.map(img => img.theme),
+        regenerate: fallbackImages.map(img => ({
+          style: img.theme,
+          url: `/api/sessions/${img.sessionId}/regenerate`
+        }))
+      })
+    }
+
+    let voucher = null
+    if (voucherCode) {
+      const checked = await checkVoucher(voucherCode, { kind: 'discount', styles: images.map(img => img.theme), currency })
+      if (checked.error) {
+        return res.status(400).json({ error: checked.error, code: checked.code, allowedStyles: checked.allowedStyles })
+      }
+      voucher = checked.voucher
+    }
+    const priced = voucher
+      ? applyVoucher(voucher, { unitAmount, addOns: quote.addOns, minimumAmount: quote.minimumAmount })
+      : { discount: 0, unitAmount, addOns: quote.addOns }
+
+    const amountTotal = priced.unitAmount + priced.addOns.reduce((sum, addOn) => sum + addOn.amount, 0)
+    const customerEmail = email ? normalizeEmail(email) : req.account?.email || null
+    const orderDetails = {
+      imageIds: ids,
+      addOns,
+      tier: quote.tier.id,
+      customerEmail,
+      accountId: req.account?.id || null,
+      gift,
+      voucherCode: voucher?.code || null,
+      voucherDiscount: voucher ? priced.discount : null
+    }
+
+    // Free with a voucher, or a mock checkout for testing without Stripe
+    if (amountTotal === 0 || !getStripe()) {
+      const free = amountTotal === 0
+      if (!free) {
+        console.log('Stripe not configured - returning mock checkout URL')
+      }
+      // Random, so order ids can't be guessed and checkouts in the same millisecond don't collide
+      const sessionId = `${free ? 'free' : 'mock'}_${crypto.randomUUID()}`
+      if (voucher) {
+        const redeemed = await redeemVoucher(voucher, { orderId: sessionId, amountOff: priced.discount, currency })
+        if (redeemed.error) {
+          return res.status(400).json({ error: redeemed.error, code: redeemed.code })
+        }
+      }
+      const { gift: createdGift } = await createPaidOrder({ id: sessionId, ...orderDetails, amountTotal, currency })
+      if (free) {
+        console.log(`Order ${sessionId} paid in full with voucher ${voucher.code}`)
+      }
 
       return res.json({
-        url: `${req.headers.origin || 'http://localhost:5173'}?session_id=${mockSessionId}`,
-        sessionId: mockSessionId,
-        mock: true
+        url: `${req.headers.origin || 'http://localhost:5173'}?session_id=${sessionId}`,
+        sessionId,
+        amountTotal,
+        currency,
+        giftToken: createdGift?.id,
+        ...(free ? { free: true } : { mock: true })
       })
     }
 
-    const productName = "imagegen.studio Valentine's Day 3-Pack Portraits"
+    // Held before the checkout exists, until the webhook reports it paid or expired
+    let redemption = null
+    if (voucher) {
+      const redeemed = await redeemVoucher(voucher, { amountOff: priced.discount, currency }, { status: 'pending' })
+      if (redeemed.error) {
+        return res.status(400).json({ error: redeemed.error, code: redeemed.code })
+      }
+      redemption = redeemed.redemption
+    }
+
+    const productName = quote.tier.name
+    const portraits = images.length === 1 ? 'Your unique 4K portrait' : `Your ${images.length} unique 4K portraits`
 
     const session = await getStripe().checkout.sessions.create({
       payment_method_types: ['card'],
       line_items: [
         {
           price_data: {
-            currency: 'usd',
+            currency,
             product_data: {
               name: productName,
-              description: '3 Unique 4K AI Art Portraits (2160x3840) - Oil Painting, Studio Ghibli, Renaissance',
+              description: describeSelection(images, discounted) + (voucher ? ` - voucher ${voucher.code}` : ''),
               images: []
             },
-            unit_amount: 899 // $8.99
+            unit_amount: priced.unitAmount
           },
           quantity: 1
-        }
+        },
+        ...priced.addOns.map(addOn => ({
+          price_data: {
+            currency,
+            product_data: {
+              name: addOn.name,
+              description: addOn.description
+            },
+            unit_amount: addOn.amount
+          },
+          quantity: 1
+        }))
       ],
       mode: 'payment',
+      customer_email: customerEmail || undefined,
       success_url: `${req.headers.origin || 'http://localhost:5173'}?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${req.headers.origin || 'http://localhost:5173'}`,
       metadata: {
-        imageIds: JSON.stringify(ids)
+        imageIds: JSON.stringify(ids),
+        addOns: JSON.stringify(addOns),
+        tier: quote.tier.id,
+        accountId: req.account?.id || '',
+        // Stripe caps metadata values at 500 characters, so the message gets a key of its own
+        ...(gift && {
+          gift: JSON.stringify({ recipientName: gift.recipientName, fromName: gift.fromName, deliverAt: gift.deliverAt }),
+          giftRecipient: gift.recipientEmail,
+          giftMessage: gift.message
+        }),
+        ...(voucher && {
+          voucher: voucher.code,
+          voucherDiscount: String(priced.discount)
+        }),
+        styles: images.map(img => img.theme).join(','),
+        fallbackDiscount: discounted ? 'true' : 'false'
       },
       payment_intent_data: {
         description: productName
       },
       custom_text: {
         submit: {
-          message: 'Your 3 unique 4K portraits will be available for instant download after payment. Contact: imagegen.studio.help@gmail.com'
+          message: `${portraits} will be available for instant download after payment. Contact: imagegen.studio.help@gmail.com`
         }
       },
-      allow_promotion_codes: true
+      // Stripe promotion codes don't stack on top of our own vouchers
+      allow_promotion_codes: !voucher
+    }).catch(async error => {
+      await releaseRedemption(redemption)
+      throw error
     })
 
-    checkoutSessions.set(session.id, { imageIds: ids, paid: false })
+    try {
+      await createOrder({ id: session.id, ...orderDetails, amountTotal: session.amount_total, currency: session.currency })
+    } catch (error) {
+      // Without an order the webhook can't settle the redemption, so the use is given back now
+      await releaseRedemption(redemption)
+      throw error
+    }
+    if (redemption) {
+      await assignRedemptionOrder(redemption.id, session.id)
+    }
 
-    res.json({ url: session.url, sessionId: session.id })
+    res.json({ url: session.url, sessionId: session.id, amountTotal: session.amount_total, currency: session.currency })
   } catch (error) {
     console.error('Checkout error:', error)
     res.status(500).json({ error: 'Failed to create checkout session' })
   }
 })
 
+/**
+ * GET /api/output-options
+ * Presets and formats that can be requested from /api/download/:sessionId
+ */
+router.get('/output-options', (req, res) => {
+  res.json({
+    presets: Object.entries(OUTPUT_PRESETS).map(([id, { name, width, height, dpi }]) => ({ id, name, width, height, dpi: dpi || null })),
+    formats: Object.entries(OUTPUT_FORMATS).map(([id, { extension, contentType }]) => ({ id, extension, contentType })),
+    defaultPreset: DEFAULT_PRESET,
+    defaultFormat: DEFAULT_FORMAT,
+    // Available from /api/download/:sessionId/print with the 'print' add-on
+    print: {
+      sizes: Object.entries(PRINT_SIZES).map(([id, { name }]) => ({ id, name })),
+      defaultSize: DEFAULT_PRINT_SIZE,
+      dpi: 300,
+      ...getPrintOptions()
+    }
+  })
+})
+
 /**
  * GET /api/download/:sessionId
  * Download images after successful payment (single or bundle as ZIP)
+ * Optional `presets` and `formats` query params (comma-separated ids or 'all', see
+ * GET /api/output-options) add renders of every image in those sizes and formats.
  */
-router.get('/download/:sessionId', async (req, res) => {
+async function sendImages(req, res, sessionId) {
   try {
-    const { sessionId } = req.params
-    let imageIds = []
-
-    // Handle mock sessions
-    if (sessionId.startsWith('mock_')) {
-      const sessionData = checkoutSessions.get(sessionId)
-      if (!sessionData) {
-        return res.status(404).json({ error: 'Session not found' })
-      }
-      imageIds = sessionData.imageIds
-    } else {
-      // Verify Stripe session
-      if (!getStripe()) {
-        return res.status(500).json({ error: 'Payment system not configured' })
-      }
+    const presets = parseSelection(req.query.presets, OUTPUT_PRESETS, DEFAULT_PRESET)
+    const formats = parseSelection(req.query.formats, OUTPUT_FORMATS, DEFAULT_FORMAT)
+    if (presets.error || formats.error) {
+      return res.status(400).json({ error: presets.error || formats.error })
+    }
 
-      const session = await getStripe().checkout.sessions.retrieve(sessionId)
+    const variants = presets.ids.flatMap(preset => formats.ids.map(format => ({ preset, format })))
+    const defaultOnly = variants.length === 1 && variants[0].preset === DEFAULT_PRESET && variants[0].format === DEFAULT_FORMAT
 
-      if (session.payment_status !== 'paid') {
-        return res.status(402).json({ error: 'Payment not completed' })
-      }
-
-      imageIds = JSON.parse(session.metadata.imageIds || '[]')
+    const { order, status, error, code } = await getPaidOrder(sessionId)
+    if (!order) {
+      return res.status(status).json({ error, code })
     }
 
+    const { imageIds } = order
+
     if (imageIds.length === 0) {
       return res.status(404).json({ error: 'No images found' })
     }
 
-    const themeNames = {
-      'oil-painting': 'OilPainting',
-      'studio-ghibli': 'StudioGhibli',
-      'mona-lisa': 'Renaissance',
-      // Legacy theme names for backwards compatibility
-      renaissance: 'Renaissance',
-      vangogh: 'VanGogh',
-      ghibli: 'StudioGhibli',
-      disney: 'DisneyPixar',
-      watercolor: 'Watercolor'
-    }
+    await recordDownload(sessionId)
 
-    // Fetch images from Supabase URLs
+    // Read the full-resolution originals from private storage
     const fetchImage = async (id) => {
-      const metadata = getImageMetadata(id)
-      if (!metadata?.imageUrl) {
-        throw new Error(`No URL for image ${id}`)
+      const metadata = await getImageMetadata(id)
+      if (!metadata) {
+        throw new Error(`No metadata for image ${id}`)
+      }
+
+      // Images generated before originals moved to private storage only have a public URL
+      let buffer
+      if (metadata.storagePath) {
+        buffer = await getObject(metadata.storagePath, { private: true })
+      } else {
+        const response = await fetch(metadata.imageUrl)
+        if (!response.ok) throw new Error(`Failed to fetch image ${id}`)
+        buffer = Buffer.from(await response.arrayBuffer())
       }
-      const response = await fetch(metadata.imageUrl)
-      if (!response.ok) throw new Error(`Failed to fetch image ${id}`)
-      return {
-        buffer: Buffer.from(await response.arrayBuffer()),
-        theme: metadata.theme
+
+      return { buffer, theme: metadata.theme, masterPath: metadata.masterPath, focus: metadata.crop?.focus }
+    }
+
+    // Render the requested variants from the master (or the original for images without one)
+    const renderImageVariants = async (image) => {
+      const master = image.masterPath
+        ? await getObject(image.masterPath, { private: true })
+        : image.buffer
+      const rendered = []
+      for (const { preset, format } of variants) {
+        rendered.push({ preset, ...await renderVariant(master, preset, format, { focus: image.focus }) })
       }
+      return rendered
     }
 
     // Single image - return directly
-    if (imageIds.length === 1) {
-      const { buffer } = await fetchImage(imageIds[0])
+    if (imageIds.length === 1 && variants.length === 1) {
+      const image = await fetchImage(imageIds[0])
+      const { buffer, contentType, extension } = defaultOnly
+        ? { buffer: image.buffer, contentType: 'image/jpeg', extension: 'jpg' }
+        : (await renderImageVariants(image))[0]
       res.set({
-        'Content-Type': 'image/jpeg',
-        'Content-Disposition': 'attachment; filename="valentine-portrait.jpg"'
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="valentine-portrait.${extension}"`
       })
       return res.send(buffer)
     }
@@ -179,10 +512,17 @@ router.get('/download/:sessionId', async (req, res) => {
     const folderName = 'Valentines imagegen.studio'
     for (const id of imageIds) {
       try {
-        const { buffer, theme } = await fetchImage(id)
-        const themeName = themeNames[theme] || 'Portrait'
-        const filename = `${folderName}/Valentine-Portrait-${themeName}.jpg`
-        archive.append(buffer, { name: filename })
+        const image = await fetchImage(id)
+        const themeName = getDisplayName(image.theme) || 'Portrait'
+
+        if (defaultOnly) {
+          archive.append(image.buffer, { name: `${folderName}/Valentine-Portrait-${themeName}.jpg` })
+          continue
+        }
+
+        for (const { preset, buffer, extension } of await renderImageVariants(image)) {
+          archive.append(buffer, { name: `${folderName}/${themeName}/Valentine-Portrait-${themeName}-${preset}.${extension}` })
+        }
       } catch (err) {
         console.error(`Failed to fetch image ${id}:`, err)
       }
@@ -193,89 +533,143 @@ router.get('/download/:sessionId', async (req, res) => {
     console.error('Download error:', error)
     res.status(500).json({ error: 'Failed to download images' })
   }
-})
+}
 
-const SUPABASE_PUBLIC_URL = 'https://vvftrcuiettbrcvivulv.supabase.co/storage/v1/object/public/images'
+router.get('/download/:sessionId', (req, res) => sendImages(req, res, req.params.sessionId))
 
 /**
- * GET /api/images/:sessionId
- * Get image URLs for a paid session
+ * GET /api/download/:sessionId/print
+ * Print-ready CMYK TIFFs for orders that bought the 'print' add-on.
+ * Optional `size` (see GET /api/output-options) and `marks=false` to leave out the crop marks.
  */
-router.get('/images/:sessionId', async (req, res) => {
+async function sendPrintFiles(req, res, sessionId) {
   try {
-    const { sessionId } = req.params
-
-    // Helper to construct image URL from imageId
-    const constructImageUrl = (imageId) => {
-      // imageId format: {uuid}_{style} e.g. "abc123_oil-painting"
-      const parts = imageId.split('_')
-      if (parts.length >= 2) {
-        const uuid = parts.slice(0, -1).join('_') // Handle UUIDs with underscores
-        const style = parts[parts.length - 1]
-        return `${SUPABASE_PUBLIC_URL}/valentines/${uuid}/${style}.jpg`
-      }
-      return null
+    const size = req.query.size || DEFAULT_PRINT_SIZE
+    const cropMarks = req.query.marks !== 'false'
+
+    if (!Object.hasOwn(PRINT_SIZES, size)) {
+      return res.status(400).json({ error: `Unknown print size: ${size}` })
     }
 
-    // Helper to extract style from imageId
-    const extractStyle = (imageId) => {
-      const parts = imageId.split('_')
-      return parts[parts.length - 1]
+    const { order, status, error, code } = await getPaidOrder(sessionId)
+    if (!order) {
+      return res.status(status).json({ error, code })
+    }
+    if (!hasAddOn(order, 'print')) {
+      return res.status(402).json({ error: 'Print-ready files were not purchased with this order', code: 'PRINT_ADDON_REQUIRED' })
+    }
+    if (order.imageIds.length === 0) {
+      return res.status(404).json({ error: 'No images found' })
     }
 
-    // Handle mock sessions
-    if (sessionId.startsWith('mock_')) {
-      const sessionData = checkoutSessions.get(sessionId)
-      if (!sessionData) {
-        return res.status(404).json({ error: 'Session not found' })
-      }
+    await recordDownload(sessionId)
 
-      const images = sessionData.imageIds.map(id => {
-        const metadata = getImageMetadata(id)
-        const style = metadata?.theme || extractStyle(id)
-        return {
-          imageId: id,
-          imageUrl: metadata?.imageUrl || constructImageUrl(id),
-          style
-        }
-      }).filter(img => img.imageUrl)
+    // Print files are rendered from the master (or the original for images without one)
+    const renderImage = async (id) => {
+      const metadata = await getImageMetadata(id)
+      if (!metadata) {
+        throw new Error(`No metadata for image ${id}`)
+      }
+      const master = await getObject(metadata.masterPath || metadata.storagePath, { private: true })
+      const file = await renderPrintFile(master, size, { focus: metadata.crop?.focus, cropMarks })
+      return { ...file, theme: metadata.theme }
+    }
 
-      return res.json({ images })
+    if (order.imageIds.length === 1) {
+      const { buffer, contentType, extension } = await renderImage(order.imageIds[0])
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="valentine-portrait-print-${size}.${extension}"`
+      })
+      return res.send(buffer)
     }
 
-    // Verify Stripe session
-    if (!getStripe()) {
-      return res.status(500).json({ error: 'Payment system not configured' })
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="Valentines imagegen.studio print-${size}.zip"`
+    })
+
+    const archive = archiver('zip', { zlib: { level: 5 } })
+    archive.pipe(res)
+
+    // One at a time: print files are large and rendering them is memory hungry
+    const folderName = 'Valentines imagegen.studio'
+    for (const id of order.imageIds) {
+      try {
+        const { buffer, extension, theme } = await renderImage(id)
+        const themeName = getDisplayName(theme) || 'Portrait'
+        archive.append(buffer, { name: `${folderName}/Valentine-Portrait-${themeName}-print-${size}.${extension}` })
+      } catch (err) {
+        console.error(`Failed to render print file for image ${id}:`, err)
+      }
     }
 
-    const session = await getStripe().checkout.sessions.retrieve(sessionId)
+    await archive.finalize()
+  } catch (error) {
+    console.error('Print download error:', error)
+    res.status(500).json({ error: 'Failed to download print files' })
+  }
+}
 
-    if (session.payment_status !== 'paid') {
-      return res.status(402).json({ error: 'Payment not completed' })
+router.get('/download/:sessionId/print', (req, res) => sendPrintFiles(req, res, req.params.sessionId))
+
+/**
+ * GET /api/delivery/:token
+ * GET /api/delivery/:token/print
+ * Expiring download links from the delivery email (see services/delivery.js); they accept
+ * the same query params as the download routes above.
+ */
+function withDeliveryToken(send) {
+  return (req, res) => {
+    const payload = verifySignedToken(req.params.token)
+    if (payload?.purpose !== 'delivery' || !payload.orderId) {
+      return res.status(403).json({ error: 'This download link is invalid or has expired', code: 'LINK_EXPIRED' })
     }
+    send(req, res, payload.orderId)
+  }
+}
 
-    const imageIds = JSON.parse(session.metadata.imageIds || '[]')
+router.get('/delivery/:token', withDeliveryToken(sendImages))
+router.get('/delivery/:token/print', withDeliveryToken(sendPrintFiles))
 
-    const images = imageIds.map(id => {
-      const metadata = getImageMetadata(id)
-      const style = metadata?.theme || extractStyle(id)
-      return {
-        imageId: id,
-        imageUrl: metadata?.imageUrl || constructImageUrl(id),
-        style
-      }
-    }).filter(img => img.imageUrl)
+/**
+ * GET /api/images/:sessionId
+ * Get image URLs for a paid session. Originals are private, so each imageUrl is a
+ * signed URL that expires after SIGNED_URL_TTL_SECONDS (see services/portraits.js).
+ */
+router.get('/images/:sessionId', async (req, res) => {
+  try {
+    const { order, status, error, code } = await getPaidOrder(req.params.sessionId)
+    if (!order) {
+      return res.status(status).json({ error, code })
+    }
 
-    res.json({ images })
+    res.json({ images: await describePurchasedImages(order.imageIds) })
   } catch (error) {
     console.error('Get images error:', error)
     res.status(500).json({ error: 'Failed to get images' })
   }
 })
 
+/**
+ * The order a payment intent belongs to. Orders only learn their payment intent when checkout
+ * completes, so for earlier events (e.g. a failed first attempt) Stripe is asked which
+ * Checkout session created it.
+ */
+async function findOrderForPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null
+
+  const order = await findOrderByPaymentIntent(paymentIntentId)
+  if (order) return order
+
+  const { data } = await getStripe().checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 })
+  return data.length > 0 ? getOrder(data[0].id) : null
+}
+
 /**
  * POST /api/webhook
- * Stripe webhook for payment events
+ * Stripe webhook for payment events. Each event id is handled once (see services/webhookEvents.js);
+ * refunds and disputes revoke download access.
  */
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   if (!getStripe()) {
@@ -298,17 +692,106 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
     return res.status(400).send(`Webhook Error: ${err.message}`)
   }
 
-  switch (event.type) {
-    case 'checkout.session.completed':
-      const session = event.data.object
-      console.log('Payment successful for session:', session.id)
-      if (checkoutSessions.has(session.id)) {
-        checkoutSessions.get(session.id).paid = true
+  let claim
+  try {
+    claim = await claimEvent(event)
+  } catch (error) {
+    console.error(`Webhook claim failed for ${event.id}:`, error)
+    return res.status(500).json({ error: 'Webhook handling failed' })
+  }
+  if (claim === 'processed') {
+    console.log(`Webhook event ${event.id} (${event.type}) already processed`)
+    return res.json({ received: true, duplicate: true })
+  }
+  if (claim === 'processing') {
+    // Stripe retries later, by when the other delivery has finished or given the event back
+    console.log(`Webhook event ${event.id} (${event.type}) is being handled by another delivery`)
+    return res.status(409).json({ error: 'Event is already being handled' })
+  }
+
+  try {
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded': {
+        const session = event.data.object
+        const order = await recordCheckoutSession(session)
+        console.log(`Checkout ${session.id} recorded: ${order.status}, ${order.imageIds.length} images, ${order.customerEmail || 'no email'}`)
+        // Stripe retries deliveries, so only the first one for a paid order sends the email
+        if (isOrderPaid(order) && order.customerEmail && !order.lastDeliveryEmailAt) {
+          await emailDeliveryLink(order)
+        }
+        if (isOrderPaid(order) && order.gift && !order.giftToken) {
+          await createGiftForOrder(order)
+        }
+        if (isOrderPaid(order) && order.voucherCode) {
+          await completeOrderRedemption(order.id)
+        }
+        break
+      }
+
+      // The customer never paid; nothing was delivered, so the pending order is dropped.
+      // Their portraits stay until retention removes them, in case they check out again.
+      case 'checkout.session.expired': {
+        const session = event.data.object
+        const order = await getOrder(session.id)
+        if (order && !isOrderPaid(order) && !order.accessRevokedAt) {
+          await releaseOrderRedemption(session.id)
+          await deleteOrder(session.id)
+          console.log(`Checkout ${session.id} expired, pending order removed`)
+        }
+        break
+      }
+
+      case 'charge.refunded': {
+        const charge = event.data.object
+        const order = await findOrderForPaymentIntent(charge.payment_intent)
+        if (!order) {
+          console.log(`Refund for unknown payment ${charge.payment_intent}`)
+        } else if (charge.refunded) {
+          await revokeOrderAccess(order.id, 'refunded', { amountRefunded: charge.amount_refunded, refundedAt: new Date().toISOString() })
+          console.log(`Order ${order.id} refunded, download access revoked`)
+        } else {
+          await recordRefund(order.id, { amountRefunded: charge.amount_refunded })
+          console.log(`Order ${order.id} partially refunded (${charge.amount_refunded} of ${charge.amount})`)
+        }
+        break
+      }
+
+      case 'charge.dispute.created': {
+        const dispute = event.data.object
+        const order = await findOrderForPaymentIntent(dispute.payment_intent)
+        if (!order) {
+          console.log(`Dispute for unknown payment ${dispute.payment_intent}`)
+        } else {
+          await revokeOrderAccess(order.id, 'disputed', { disputeId: dispute.id, disputeReason: dispute.reason, disputedAt: new Date().toISOString() })
+          console.log(`Order ${order.id} disputed (${dispute.reason}), download access revoked`)
+        }
+        break
       }
-      break
 
-    default:
-      console.log(`Unhandled event type: ${event.type}`)
+      case 'payment_intent.payment_failed': {
+        const paymentIntent = event.data.object
+        const order = await findOrderForPaymentIntent(paymentIntent.id)
+        if (order) {
+          await recordPaymentFailure(order.id, paymentIntent.last_payment_error || {})
+        }
+        console.log(`Payment ${paymentIntent.id} failed for order ${order?.id || 'unknown'}: ${paymentIntent.last_payment_error?.message || 'no reason given'}`)
+        break
+      }
+
+      default:
+        console.log(`Unhandled event type: ${event.type}`)
+    }
+
+    await markEventProcessed(event.id)
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the delivery
+    console.error(`Webhook handling failed for ${event.type}:`, error)
+    await releaseEvent(event.id).catch(releaseError => {
+      console.error(`Failed to release webhook event ${event.id}:`, releaseError.message)
+    })
+    return res.status(500).json({ error: 'Webhook handling failed' })
   }
 
   res.json({ received: true })
@@ -0,0 +1,149 @@
+import express from 'express'
+import { getImageMetadata } from '../services/imageGenerator.js'
+import { getSession, getRegenerationLimit, useRegeneration, releaseRegeneration, addRegenerationCredits } from '../services/sessions.js'
+import { isImagePurchased } from '../services/orders.js'
+import { queueRegeneration } from '../services/regeneration.js'
+import { deleteSessionData } from '../services/retention.js'
+import { reserveGenerations } from '../services/spendCap.js'
+import { checkVoucher, redeemVoucher, hasSessionRedeemed } from '../services/vouchers.js'
+import { generateRateLimit, voucherRateLimit } from '../middleware/rateLimit.js'
+import { verifyHuman } from '../middleware/humanVerification.js'
+import { requireSessionAccess } from '../middleware/sessionAccess.js'
+
+const router = express.Router()
+
+/**
+ * POST /api/sessions/:sessionId/regenerate
+ * Generate one style of a session again from its original upload, replacing the image.
+ * Body: { style }. Limited to REGENERATION_LIMIT rerolls per session (support can raise it).
+ * Portraits that have been bought are refused, since regenerating would replace the file
+ * the customer paid for. Responds with a job like POST /api/generate.
+ * Needs the session token from POST /api/generate or the owning account's access token,
+ * and passes the same human verification and rate limits as POST /api/generate.
+ */
+router.post('/sessions/:sessionId/regenerate', verifyHuman, generateRateLimit, requireSessionAccess, async (req, res) => {
+  try {
+    const { sessionId } = req.params
+    const { style } = req.body
+
+    if (!style) {
+      return res.status(400).json({ error: 'Style required' })
+    }
+
+    const session = await getSession(sessionId)
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+
+    const metadata = await getImageMetadata(`${sessionId}_${style}`)
+    if (!metadata) {
+      return res.status(404).json({ error: `Style ${style} is not part of this session` })
+    }
+
+    if (await isImagePurchased(metadata.imageId)) {
+      return res.status(409).json({ error: 'This portrait has been bought and can no longer be regenerated', code: 'IMAGE_PURCHASED' })
+    }
+
+    const limit = getRegenerationLimit(session)
+    const updated = await useRegeneration(session)
+    if (!updated) {
+      return res.status(429).json({
+        error: 'Regeneration limit reached for this session',
+        code: 'REGENERATION_LIMIT',
+        limit
+      })
+    }
+
+    const budget = await reserveGenerations(1)
+    if (!budget.allowed) {
+      await releaseRegeneration(sessionId)
+      return res.status(503).json({ error: 'We are at capacity for today, please try again tomorrow', code: 'DAILY_CAP_REACHED' })
+    }
+
+    const job = queueRegeneration(session, style)
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      sessionId,
+      status: job.status,
+      statusUrl: `/api/generate/${job.id}`,
+      eventsUrl: `/api/generate/${job.id}/events`,
+      regenerationsRemaining: limit - updated.regenerationsUsed
+    })
+  } catch (error) {
+    console.error('Regenerate error:', error)
+    res.status(500).json({ error: 'Failed to regenerate style' })
+  }
+})
+
+/**
+ * POST /api/sessions/:sessionId/vouchers
+ * Redeem a regenerations voucher (see services/vouchers.js), raising the session's
+ * regeneration limit by its credits. Body: { code }. A code counts once per session.
+ * Needs access to the session like POST /api/sessions/:sessionId/regenerate.
+ */
+router.post('/sessions/:sessionId/vouchers', voucherRateLimit, requireSessionAccess, async (req, res) => {
+  try {
+    const { sessionId } = req.params
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({ error: 'Voucher code required' })
+    }
+
+    const session = await getSession(sessionId)
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+
+    const { voucher, error, code: errorCode } = await checkVoucher(code, { kind: 'regenerations' })
+    if (!voucher) {
+      return res.status(400).json({ error, code: errorCode })
+    }
+    if (await hasSessionRedeemed(voucher.code, sessionId)) {
+      return res.status(409).json({ error: 'This voucher was already used for these portraits', code: 'VOUCHER_ALREADY_REDEEMED' })
+    }
+
+    const redeemed = await redeemVoucher(voucher, { sessionId, regenerations: voucher.regenerations })
+    if (redeemed.error) {
+      return res.status(redeemed.code === 'VOUCHER_ALREADY_REDEEMED' ? 409 : 400).json({ error: redeemed.error, code: redeemed.code })
+    }
+    const updated = await addRegenerationCredits(sessionId, voucher.regenerations)
+    const limit = getRegenerationLimit(updated)
+
+    console.log(`Voucher ${voucher.code} added ${voucher.regenerations} regenerations to session ${sessionId}`)
+
+    res.json({
+      success: true,
+      regenerationsAdded: voucher.regenerations,
+      regenerationLimit: limit,
+      regenerationsRemaining: limit - updated.regenerationsUsed
+    })
+  } catch (error) {
+    console.error('Redeem voucher error:', error)
+    res.status(500).json({ error: 'Failed to redeem voucher' })
+  }
+})
+
+/**
+ * DELETE /api/sessions/:sessionId
+ * Erase a customer's upload and every portrait generated from it (right to erasure).
+ * Paid orders are kept for bookkeeping, but their downloads stop working.
+ * Needs the session token from POST /api/generate or the owning account's access token.
+ */
+router.delete('/sessions/:sessionId', requireSessionAccess, async (req, res) => {
+  try {
+    const result = await deleteSessionData(req.params.sessionId)
+    if (!result) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+
+    res.json({ success: true, ...result })
+  } catch (error) {
+    console.error('Delete session error:', error)
+    res.status(500).json({ error: 'Failed to delete session' })
+  }
+})
+
+export default router
@@ -0,0 +1,180 @@
+import crypto from 'crypto'
+import { getRepository } from './repository.js'
+
+// Customer accounts, identified by email address and signed in without a password:
+// POST /api/auth/login emails a one-time code plus a magic link carrying a login token, and
+// either one is exchanged for an access token at POST /api/auth/verify.
+//
+// Repositories:
+// - 'accounts':     { id, email, lastLoginAt }
+// - 'login_codes':  pending logins, keyed by id; hold only hashes of the link token and code
+// - 'auth_tokens':  access tokens, keyed by their sha256 so a leaked store can't be replayed
+const accounts = () => getRepository('accounts')
+const loginCodes = () => getRepository('login_codes')
+const authTokens = () => getRepository('auth_tokens')
+
+const MAX_CODE_ATTEMPTS = 5
+
+/**
+ * LOGIN_CODE_TTL_MINUTES (default 15): how long a code or magic link works.
+ * AUTH_TOKEN_TTL_DAYS (default 30): how long a customer stays signed in.
+ */
+export function getAuthPolicy() {
+  return {
+    loginTtlMs: parseFloat(process.env.LOGIN_CODE_TTL_MINUTES ?? '15') * 60 * 1000,
+    tokenTtlMs: parseFloat(process.env.AUTH_TOKEN_TTL_DAYS ?? '30') * 24 * 60 * 60 * 1000
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex')
+}
+
+function hashesMatch(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+}
+
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase()
+}
+
+export async function findAccountByEmail(email) {
+  const [account] = await accounts().find({ email: normalizeEmail(email) }, { limit: 1 })
+  return account || null
+}
+
+async function createAccount(email, lastLoginAt) {
+  const id = crypto.randomUUID()
+  return accounts().put(id, { id, email, lastLoginAt })
+}
+
+export async function getAccount(id) {
+  return accounts().get(id)
+}
+
+/**
+ * Start a login for `email`. Returns { loginId, code, loginToken, expiresAt }; the code and
+ * token are only ever sent to the email address, the loginId goes back to the browser.
+ */
+export async function createLogin(email) {
+  const loginId = crypto.randomUUID()
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0')
+  const loginToken = crypto.randomBytes(32).toString('base64url')
+  const expiresAt = new Date(Date.now() + getAuthPolicy().loginTtlMs).toISOString()
+
+  await loginCodes().put(loginId, {
+    id: loginId,
+    email: normalizeEmail(email),
+    codeHash: sha256(`${loginId}:${code}`),
+    tokenHash: sha256(loginToken),
+    attempts: 0,
+    expiresAt
+  })
+
+  return { loginId, code, loginToken: `${loginId}.${loginToken}`, expiresAt }
+}
+
+// The account for a verified email, created on first login
+async function signIn(email) {
+  const now = new Date().toISOString()
+  const existing = await findAccountByEmail(email)
+  const account = existing
+    ? await accounts().update(existing.id, { lastLoginAt: now })
+    : await createAccount(email, now)
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  const tokenId = sha256(token)
+  const expiresAt = new Date(Date.now() + getAuthPolicy().tokenTtlMs).toISOString()
+  await authTokens().put(tokenId, { id: tokenId, accountId: account.id, expiresAt })
+
+  return { token, expiresAt, account }
+}
+
+function parseLogin({ loginToken, loginId }) {
+  const [id, secret] = loginToken ? String(loginToken).split('.') : [loginId, null]
+  return { id: id ? String(id) : null, secret }
+}
+
+// The address a pending login was sent to, for limiting verify attempts per email
+export async function getLoginEmail({ loginToken, loginId }) {
+  const { id } = parseLogin({ loginToken, loginId })
+  return id ? (await loginCodes().get(id))?.email || null : null
+}
+
+/**
+ * Finish a login with either the magic link's `loginToken` or `loginId` plus `code`.
+ * Every try counts against MAX_CODE_ATTEMPTS before the code is compared, and a login is
+ * used up by the first one that matches, both atomically so parallel guesses can't get around it.
+ * Returns { token, expiresAt, account } or { status, error, code }.
+ */
+export async function verifyLogin({ loginToken, loginId, code }) {
+  const { id, secret } = parseLogin({ loginToken, loginId })
+  const login = id ? await loginCodes().get(id) : null
+
+  if (!login || login.expiresAt < new Date().toISOString()) {
+    return { status: 401, error: 'This login code has expired, please request a new one', code: 'LOGIN_EXPIRED' }
+  }
+  if (!await loginCodes().increment(login.id, 'attempts', 1, { max: MAX_CODE_ATTEMPTS })) {
+    await loginCodes().delete(login.id)
+    return { status: 429, error: 'Too many attempts, please request a new code', code: 'LOGIN_ATTEMPTS_EXCEEDED' }
+  }
+
+  const valid = secret
+    ? hashesMatch(sha256(secret), login.tokenHash)
+    : hashesMatch(sha256(`${login.id}:${String(code || '').trim()}`), login.codeHash)
+
+  if (!valid) {
+    return { status: 401, error: 'Invalid login code', code: 'LOGIN_INVALID' }
+  }
+
+  // Codes are single use
+  if (!await loginCodes().increment(login.id, 'uses', 1, { max: 1 })) {
+    return { status: 401, error: 'This login code has expired, please request a new one', code: 'LOGIN_EXPIRED' }
+  }
+  await loginCodes().delete(login.id)
+  return signIn(login.email)
+}
+
+// The account an access token belongs to, or null when it is unknown or expired
+export async function authenticate(token) {
+  if (!token) return null
+
+  const record = await authTokens().get(sha256(token))
+  if (!record || record.expiresAt < new Date().toISOString()) return null
+  return getAccount(record.accountId)
+}
+
+export async function revokeToken(token) {
+  return authTokens().delete(sha256(token))
+}
+
+/**
+ * Delete the account of `email` with its access tokens and pending logins, for a data deletion
+ * request. Returns { accountDeleted, accessTokensDeleted, loginsDeleted }.
+ */
+export async function deleteAccountData(email) {
+  const normalized = normalizeEmail(email)
+  const account = await findAccountByEmail(normalized)
+  const tokens = account ? await authTokens().find({ accountId: account.id }) : []
+  const logins = await loginCodes().find({ email: normalized })
+
+  await Promise.all([
+    ...tokens.map(token => authTokens().delete(token.id)),
+    ...logins.map(login => loginCodes().delete(login.id))
+  ])
+  if (account) {
+    await accounts().delete(account.id)
+  }
+  return { accountDeleted: Boolean(account), accessTokensDeleted: tokens.length, loginsDeleted: logins.length }
+}
+
+// Expired logins and access tokens; both expire a fixed time after they were created
+export async function purgeExpiredLogins(now = Date.now()) {
+  const { loginTtlMs, tokenTtlMs } = getAuthPolicy()
+  const expired = [
+    ...(await loginCodes().find({}, { createdBefore: new Date(now - loginTtlMs).toISOString() })).map(login => [loginCodes(), login.id]),
+    ...(await authTokens().find({}, { createdBefore: new Date(now - tokenTtlMs).toISOString() })).map(token => [authTokens(), token.id])
+  ]
+  await Promise.all(expired.map(([repository, id]) => repository.delete(id)))
+  return expired.length
+}
@@ -0,0 +1,318 @@
+import sharp from 'sharp'
+import { cropBoxFor } from './cropping.js'
+
+/**
+ * Compositing on top of generated portraits: text overlays rendered from SVG, decorative
+ * frames and card layouts. Every layout crops the portrait around its `focus` (see
+ * services/cropping.js) into a photo area, draws the frame over that area and the text around it.
+ *
+ * Text fields (all optional, a layout ignores the ones it has no room for):
+ * - title:     names, e.g. "Sam & Alex"
+ * - subtitle:  a date or a few words, e.g. "14 February 2027"
+ * - message:   a longer note, wrapped over several lines
+ * - signature: closing line, e.g. "With love, Jo"
+ */
+const FONTS = {
+  serif: "Georgia, 'DejaVu Serif', serif",
+  sans: "Helvetica, Arial, 'DejaVu Sans', sans-serif"
+}
+
+const ACCENT = '#c2185b'
+const INK = '#3b2330'
+const MUTED = '#9c8390'
+const BLUSH = '#fff5f7'
+
+export const TEXT_LIMITS = {
+  title: 60,
+  subtitle: 60,
+  message: 500,
+  signature: 80
+}
+
+// Rough average glyph width as a fraction of the font size, to wrap text without measuring it
+const GLYPH_WIDTH = 0.56
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Greedy word wrap to lines of at most `maxChars`; the last line ends in an ellipsis when
+ * the text needs more than `maxLines`.
+ */
+export function wrapText(text, maxChars, maxLines) {
+  const lines = []
+  let line = ''
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word
+    if (candidate.length <= maxChars) {
+      line = candidate
+      continue
+    }
+    if (line) lines.push(line)
+    line = word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word
+  }
+  if (line) lines.push(line)
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines)
+    kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1)}…`
+    return kept
+  }
+  return lines
+}
+
+function charsPerLine(width, fontSize) {
+  return Math.floor(width / (fontSize * GLYPH_WIDTH))
+}
+
+/**
+ * Full-canvas SVG with centred text. Each element is
+ * { text, y, size, color, weight, italic } with y as the baseline in pixels.
+ */
+export function textOverlaySvg(width, height, elements, { font = 'serif', defs = '', background = '' } = {}) {
+  const texts = elements
+    .filter(element => element.text)
+    .map(({ text, y, size, color = INK, weight = 'normal', italic = false }) =>
+      `<text x="${width / 2}" y="${Math.round(y)}" font-size="${Math.round(size)}" fill="${color}" font-weight="${weight}"${italic ? ' font-style="italic"' : ''}>${escapeXml(text)}</text>`)
+
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>${defs}</defs>
+  ${background}
+  <g font-family="${Object.hasOwn(FONTS, font) ? FONTS[font] : FONTS.serif}" text-anchor="middle">
+    ${texts.join('\n    ')}
+  </g>
+</svg>`)
+}
+
+// Heart in a 100x100 box
+const HEART_PATH = 'M50 100 C50 85 0 60 0 30 C0 -10 50 -10 50 25 C50 -10 100 -10 100 30 C100 60 50 85 50 100 Z'
+
+function heart(x, y, size, color) {
+  return `<path d="${HEART_PATH}" transform="translate(${x - size / 2} ${y - size / 2}) scale(${size / 100})" fill="${color}"/>`
+}
+
+/**
+ * Decorative frames, drawn over a photo area { left, top, width, height } of the canvas
+ */
+export const FRAMES = {
+  none: {
+    name: 'None',
+    svg: () => ''
+  },
+  classic: {
+    name: 'Classic',
+    description: 'Thin white double line inside the photo',
+    svg: ({ left, top, width, height }) => {
+      const inset = Math.round(width * 0.025)
+      return `<rect x="${left + inset}" y="${top + inset}" width="${width - inset * 2}" height="${height - inset * 2}" fill="none" stroke="#ffffff" stroke-width="${Math.max(3, Math.round(width * 0.004))}"/>
+  <rect x="${left + inset * 1.6}" y="${top + inset * 1.6}" width="${width - inset * 3.2}" height="${height - inset * 3.2}" fill="none" stroke="#ffffff" stroke-opacity="0.7" stroke-width="${Math.max(1, Math.round(width * 0.0015))}"/>`
+    }
+  },
+  gold: {
+    name: 'Gold',
+    description: 'Gilded border around the photo',
+    svg: ({ left, top, width, height }) => {
+      const band = Math.round(width * 0.02)
+      return `<rect x="${left + band / 2}" y="${top + band / 2}" width="${width - band}" height="${height - band}" fill="none" stroke="url(#gold)" stroke-width="${band}"/>
+  <rect x="${left + band * 1.8}" y="${top + band * 1.8}" width="${width - band * 3.6}" height="${height - band * 3.6}" fill="none" stroke="#e8d48b" stroke-width="${Math.max(2, Math.round(band / 5))}"/>`
+    },
+    defs: `<linearGradient id="gold" x1="0" y1="0" x2="1" y2="1">
+    <stop offset="0" stop-color="#b8860b"/><stop offset="0.5" stop-color="#f3e19a"/><stop offset="1" stop-color="#a67c00"/>
+  </linearGradient>`
+  },
+  hearts: {
+    name: 'Hearts',
+    description: 'Hearts in the corners of the photo',
+    svg: ({ left, top, width, height }) => {
+      const size = Math.round(width * 0.09)
+      const inset = Math.round(size * 0.8)
+      const corners = [[left + inset, top + inset], [left + width - inset, top + inset], [left + inset, top + height - inset], [left + width - inset, top + height - inset]]
+      return corners.map(([x, y]) => `${heart(x, y, size, ACCENT)}${heart(x + size * 0.45, y + size * 0.35, size * 0.45, '#f48fb1')}`).join('\n  ')
+    }
+  }
+}
+
+function frameLayer(frameId, area, canvasWidth, canvasHeight) {
+  const frame = Object.hasOwn(FRAMES, frameId) ? FRAMES[frameId] : FRAMES.none
+  const content = frame.svg(area)
+  if (!content) return null
+  return {
+    input: Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${canvasWidth}" height="${canvasHeight}"><defs>${frame.defs || ''}</defs>${content}</svg>`),
+    left: 0,
+    top: 0
+  }
+}
+
+// The portrait cropped around `focus` to exactly fill `width` x `height`
+async function fitPhoto(source, width, height, focus) {
+  const metadata = await sharp(source).metadata()
+  return sharp(source)
+    .extract(cropBoxFor(metadata.width, metadata.height, width / height, focus))
+    .resize(width, height, { kernel: 'lanczos3' })
+    .toBuffer()
+}
+
+/**
+ * Card layouts. Each lays out { canvas: { width, height, background }, photo: area, overlay }
+ * from the source size and the text; overlay is an SVG drawn over the photo and its frame.
+ */
+export const LAYOUTS = {
+  caption: {
+    name: 'Bottom caption',
+    description: 'The full portrait with the title and subtitle over a soft shade at the bottom',
+    layout: ({ width, height }, text, { font }) => {
+      const shade = Math.round(height * 0.3)
+      const titleSize = width * 0.075
+      const subtitleSize = width * 0.04
+      return {
+        canvas: { width, height, background: '#000000' },
+        photo: { left: 0, top: 0, width, height },
+        overlay: textOverlaySvg(width, height, [
+          { text: text.title, y: height - shade * 0.42, size: titleSize, color: '#ffffff', weight: 'bold' },
+          { text: text.subtitle, y: height - shade * 0.42 + subtitleSize * 1.8, size: subtitleSize, color: '#ffffff', italic: true }
+        ], {
+          font,
+          defs: '<linearGradient id="shade" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="#000000" stop-opacity="0"/><stop offset="1" stop-color="#000000" stop-opacity="0.65"/></linearGradient>',
+          background: text.title || text.subtitle ? `<rect x="0" y="${height - shade}" width="${width}" height="${shade}" fill="url(#shade)"/>` : ''
+        })
+      }
+    }
+  },
+  polaroid: {
+    name: 'Polaroid',
+    description: 'Square instant-photo print with the title written in the wide bottom border',
+    layout: (source, text, { font }) => {
+      const width = 1800
+      const height = 2160
+      const border = 100
+      const photoSize = width - border * 2
+      const textTop = border + photoSize
+      return {
+        canvas: { width, height, background: '#fdfcf7' },
+        photo: { left: border, top: border, width: photoSize, height: photoSize },
+        overlay: textOverlaySvg(width, height, [
+          { text: text.title, y: textTop + 170, size: 110, color: INK, italic: true },
+          { text: text.subtitle, y: textTop + 270, size: 56, color: MUTED }
+        ], { font })
+      }
+    }
+  },
+  'card-front': {
+    name: 'Folded card front',
+    description: 'Front of a 5x7 in folded card: the portrait with the title and subtitle below',
+    layout: (source, text, { font }) => {
+      const width = 1500
+      const height = 2100
+      const margin = 120
+      const photoHeight = 1500
+      const textTop = margin + photoHeight
+      return {
+        canvas: { width, height, background: BLUSH },
+        photo: { left: margin, top: margin, width: width - margin * 2, height: photoHeight },
+        overlay: textOverlaySvg(width, height, [
+          { text: text.title, y: textTop + 150, size: 96, color: ACCENT, weight: 'bold' },
+          { text: text.subtitle, y: textTop + 240, size: 52, color: INK, italic: true },
+          { text: 'imagegen.studio', y: height - 50, size: 30, color: MUTED }
+        ], { font })
+      }
+    }
+  },
+  'greeting-card': {
+    name: 'Greeting card',
+    description: '5x7 in card with the portrait, the title, a message of up to five lines and a signature',
+    layout: (source, text, { font }) => {
+      const width = 1500
+      const height = 2100
+      const margin = 120
+      const photoHeight = 1240
+      const messageSize = 42
+      const textWidth = width - margin * 2
+
+      let y = margin + photoHeight + 130
+      const elements = [{ text: text.title, y, size: 72, color: ACCENT, weight: 'bold' }]
+      y += 80
+      for (const line of wrapText(text.message, charsPerLine(textWidth, messageSize), 5)) {
+        elements.push({ text: line, y, size: messageSize, color: INK, italic: true })
+        y += messageSize + 14
+      }
+      elements.push({ text: text.signature, y: y + 30, size: 44, color: INK })
+      elements.push({ text: 'imagegen.studio', y: height - 50, size: 30, color: MUTED })
+
+      return {
+        canvas: { width, height, background: BLUSH },
+        photo: { left: margin, top: margin, width: textWidth, height: photoHeight },
+        overlay: textOverlaySvg(width, height, elements, { font })
+      }
+    }
+  }
+}
+
+export function listCompositionOptions() {
+  return {
+    layouts: Object.entries(LAYOUTS).map(([id, { name, description }]) => ({ id, name, description })),
+    frames: Object.entries(FRAMES).map(([id, { name, description }]) => ({ id, name, description: description || null })),
+    fonts: Object.keys(FONTS),
+    textLimits: TEXT_LIMITS
+  }
+}
+
+/**
+ * Check a composition request: { layout, frame, font, text: { title, subtitle, message, signature } }.
+ * Returns { options } or { error }.
+ */
+export function parseCompositionRequest({ layout, frame = 'none', font = 'serif', text = {} } = {}) {
+  // Own keys only, so ids like 'constructor' are refused rather than inherited from Object
+  if (!Object.hasOwn(LAYOUTS, layout)) {
+    return { error: `Unknown layout: ${layout}. Available: ${Object.keys(LAYOUTS).join(', ')}` }
+  }
+  if (!Object.hasOwn(FRAMES, frame)) {
+    return { error: `Unknown frame: ${frame}. Available: ${Object.keys(FRAMES).join(', ')}` }
+  }
+  if (!Object.hasOwn(FONTS, font)) {
+    return { error: `Unknown font: ${font}. Available: ${Object.keys(FONTS).join(', ')}` }
+  }
+  if (typeof text !== 'object' || text === null) {
+    return { error: 'Invalid text' }
+  }
+
+  const cleaned = {}
+  for (const [field, limit] of Object.entries(TEXT_LIMITS)) {
+    const value = String(text[field] ?? '').replace(/\s+/g, ' ').trim()
+    if (value.length > limit) {
+      return { error: `${field} is at most ${limit} characters` }
+    }
+    cleaned[field] = value || null
+  }
+
+  return { options: { layout, frame, font, text: cleaned } }
+}
+
+/**
+ * Compose a portrait into `layout` with `frame` and `text` (see parseCompositionRequest).
+ * `focus` is the portrait's focus point from its crop metadata. Returns a JPEG buffer.
+ */
+export async function composeImage(source, { layout, frame = 'none', font = 'serif', text = {}, focus } = {}) {
+  const definition = Object.hasOwn(LAYOUTS, layout) ? LAYOUTS[layout] : null
+  if (!definition) {
+    throw new Error(`Unknown layout: ${layout}`)
+  }
+
+  const { width, height } = await sharp(source).metadata()
+  const { canvas, photo, overlay } = definition.layout({ width, height }, text, { font })
+
+  const layers = [{ input: await fitPhoto(source, photo.width, photo.height, focus), left: photo.left, top: photo.top }]
+  const frameOverlay = frameLayer(frame, photo, canvas.width, canvas.height)
+  if (frameOverlay) layers.push(frameOverlay)
+  layers.push({ input: overlay, left: 0, top: 0 })
+
+  // Composed from scratch, so nothing of the source's metadata is carried over
+  return sharp({ create: { width: canvas.width, height: canvas.height, channels: 3, background: canvas.background } })
+    .composite(layers)
+    .jpeg({ quality: 92 })
+    .toBuffer()
+}
@@ -0,0 +1,78 @@
+import sharp from 'sharp'
+
+// Images are analysed at this size; the result is stored as fractions so it applies at any size
+const ANALYSIS_SIZE = 512
+
+// Share of the image kept by the bands used to locate the region of interest
+const BAND_FRACTION = 0.4
+
+const CENTER = { x: 0.5, y: 0.5 }
+
+const STRATEGIES = ['attention', 'entropy', 'center']
+
+/**
+ * Find the region of interest of an image, usually the couple's faces.
+ *
+ * CROP_STRATEGY picks how: 'attention' (default, sharp's saliency detection, which favours
+ * skin tones and highlights), 'entropy' (most detailed region) or 'center', which unknown
+ * values fall back to.
+ * sharp only reports where it would crop, so the image is cropped to a horizontal and a
+ * vertical band and the band offsets give the focus point.
+ *
+ * Returns { x, y, strategy } with x and y as fractions of width and height.
+ */
+export async function findFocus(imageBuffer) {
+  let strategy = process.env.CROP_STRATEGY || 'attention'
+  if (!STRATEGIES.includes(strategy)) {
+    // sharp has no such strategy and would report an arbitrary focus
+    console.warn(`Unknown CROP_STRATEGY ${strategy}, cropping around the centre`)
+    strategy = 'center'
+  }
+  if (strategy === 'center') {
+    return { ...CENTER, strategy }
+  }
+
+  const analysis = await sharp(imageBuffer)
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside' })
+    .toBuffer({ resolveWithObject: true })
+  const { width, height } = analysis.info
+
+  const bandOffset = async (bandWidth, bandHeight) => {
+    const { info } = await sharp(analysis.data)
+      .resize(bandWidth, bandHeight, { fit: 'cover', position: sharp.strategy[strategy] })
+      .toBuffer({ resolveWithObject: true })
+    return { left: -(info.cropOffsetLeft || 0), top: -(info.cropOffsetTop || 0) }
+  }
+
+  const bandWidth = Math.round(width * BAND_FRACTION)
+  const bandHeight = Math.round(height * BAND_FRACTION)
+  const { top } = await bandOffset(width, bandHeight)
+  const { left } = await bandOffset(bandWidth, height)
+
+  return {
+    x: (left + bandWidth / 2) / width,
+    y: (top + bandHeight / 2) / height,
+    strategy
+  }
+}
+
+/**
+ * Largest box with the given aspect ratio (width / height) that fits the image,
+ * centred on `focus` as far as the image edges allow.
+ */
+export function cropBoxFor(width, height, aspect, focus = CENTER) {
+  let boxWidth = width
+  let boxHeight = Math.round(width / aspect)
+  if (boxHeight > height) {
+    boxHeight = height
+    boxWidth = Math.round(height * aspect)
+  }
+
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max)
+  return {
+    left: clamp(Math.round(focus.x * width - boxWidth / 2), width - boxWidth),
+    top: clamp(Math.round(focus.y * height - boxHeight / 2), height - boxHeight),
+    width: boxWidth,
+    height: boxHeight
+  }
+}
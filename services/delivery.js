@@ -0,0 +1,95 @@
+import sharp from 'sharp'
+import { getImageMetadata } from './imageGenerator.js'
+import { getStyle } from './styles.js'
+import { readOriginal } from './portraits.js'
+import { createSignedToken } from './signing.js'
+import { hasAddOn, recordDeliveryEmail } from './orders.js'
+import { sendMail, renderEmail } from './mailer.js'
+
+const SUPPORT_EMAIL = 'imagegen.studio.help@gmail.com'
+const THUMBNAIL_WIDTH = 180
+const THUMBNAIL_HEIGHT = 320
+
+// How long the links in a delivery email work (DELIVERY_LINK_TTL_DAYS, default 7)
+export function getDeliveryLinkTtl() {
+  return parseInt(process.env.DELIVERY_LINK_TTL_DAYS || '7', 10) * 24 * 60 * 60
+}
+
+// Links in emails need an absolute URL: PUBLIC_BASE_URL, e.g. https://imagegen.studio
+export function getPublicBaseUrl() {
+  return (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '')
+}
+
+/**
+ * Expiring links to an order's downloads (see GET /api/delivery/:token).
+ * The token carries only the order id; the download routes still check payment and erasure.
+ */
+export function createDeliveryLinks(order) {
+  const ttl = getDeliveryLinkTtl()
+  const token = createSignedToken({ orderId: order.id, purpose: 'delivery' }, ttl)
+  const downloadUrl = `${getPublicBaseUrl()}/api/delivery/${token}`
+
+  return {
+    downloadUrl,
+    printUrl: hasAddOn(order, 'print') ? `${downloadUrl}/print` : null,
+    expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+  }
+}
+
+// Small JPEGs embedded in the email (cid: attachments, since many clients block remote images)
+async function createThumbnails(imageIds) {
+  const thumbnails = []
+  for (const [index, id] of imageIds.entries()) {
+    const metadata = await getImageMetadata(id)
+    if (!metadata) continue
+
+    const buffer = await readOriginal(metadata)
+    thumbnails.push({
+      cid: `portrait-${index}@imagegen.studio`,
+      filename: `portrait-${index + 1}.jpg`,
+      alt: getStyle(metadata.theme)?.name || metadata.theme,
+      content: await sharp(buffer).resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: 'cover' }).jpeg({ quality: 75 }).toBuffer()
+    })
+  }
+  return thumbnails
+}
+
+/**
+ * Email the buyer of a paid order their download link and thumbnails, and record it on the order.
+ * Sends to `to` when given, the order's customerEmail otherwise.
+ * Returns the updated order.
+ */
+export async function sendDeliveryEmail(order, { to = order.customerEmail } = {}) {
+  if (!to) {
+    throw new Error(`Order ${order.id} has no email address`)
+  }
+
+  const { downloadUrl, printUrl, expiresAt } = createDeliveryLinks(order)
+  const thumbnails = await createThumbnails(order.imageIds)
+  const count = order.imageIds.length
+
+  const { html, text } = await renderEmail('portraits-ready', {
+    portraitCount: count === 1 ? 'Your portrait' : `Your ${count} portraits`,
+    thumbnails: thumbnails
+      .map(({ cid, alt }) => `<img src="cid:${cid}" alt="${alt}" width="${THUMBNAIL_WIDTH / 2}" height="${THUMBNAIL_HEIGHT / 2}" style="margin:4px;border-radius:8px;">`)
+      .join(''),
+    downloadUrl,
+    printLink: printUrl
+      ? `<p style="margin:16px 0 0;font-size:14px;"><a href="${printUrl}" style="color:#c2185b;">Download print-ready files</a></p>`
+      : '',
+    printText: printUrl ? `\nPrint-ready files:\n${printUrl}\n` : '',
+    expiresOn: new Date(expiresAt).toUTCString().replace(/ \d\d:\d\d:\d\d GMT$/, ''),
+    supportEmail: SUPPORT_EMAIL
+  })
+
+  const { messageId } = await sendMail({
+    to,
+    subject: "Your Valentine's portraits are ready",
+    html,
+    text,
+    replyTo: SUPPORT_EMAIL,
+    attachments: thumbnails.map(({ cid, filename, content }) => ({ cid, filename, content, contentType: 'image/jpeg' }))
+  })
+
+  return recordDeliveryEmail(order.id, { to, messageId })
+}
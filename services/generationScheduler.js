@@ -0,0 +1,137 @@
+import { reserveGenerations } from './spendCap.js'
+
+/**
+ * Scheduling for AI image generation calls:
+ * - mapWithConcurrency: run a pack's styles in parallel, at most GENERATION_CONCURRENCY at a time
+ * - a global rate limiter shared by every request (GENERATION_RATE_PER_MINUTE)
+ * - exponential backoff retries on 429/5xx and empty responses (GENERATION_MAX_RETRIES)
+ * - a per-style deadline covering all attempts (GENERATION_TIMEOUT_MS)
+ * - retries paid for from the daily spend cap, like first attempts are (services/spendCap.js)
+ */
+
+function config() {
+  return {
+    concurrency: parseInt(process.env.GENERATION_CONCURRENCY, 10) || 3,
+    ratePerMinute: parseInt(process.env.GENERATION_RATE_PER_MINUTE, 10) || 20,
+    maxRetries: parseInt(process.env.GENERATION_MAX_RETRIES ?? '3', 10),
+    baseDelayMs: parseInt(process.env.GENERATION_RETRY_BASE_MS, 10) || 2000,
+    maxDelayMs: 30000,
+    timeoutMs: parseInt(process.env.GENERATION_TIMEOUT_MS, 10) || 180000
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// Global rate limiter: hands out evenly spaced start slots to every caller in the process
+let nextSlotAt = 0
+
+async function acquireRateSlot() {
+  const interval = 60000 / config().ratePerMinute
+  const now = Date.now()
+  const slot = Math.max(now, nextSlotAt)
+  nextSlotAt = slot + interval
+  if (slot > now) {
+    await delay(slot - now)
+  }
+}
+
+export class GenerationTimeoutError extends Error {
+  constructor(label, timeoutMs) {
+    super(`Generation for ${label} timed out after ${timeoutMs}ms`)
+    this.name = 'GenerationTimeoutError'
+  }
+}
+
+// 429s, 5xx responses, network failures and empty image responses are worth another try
+export function isRetryableError(error) {
+  if (error instanceof GenerationTimeoutError) return false
+  if (error.status) return error.status === 429 || error.status >= 500
+  return /No image generated|\[(429|5\d\d)[ \]]|fetch failed|ECONNRESET|ETIMEDOUT/i.test(error.message)
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+  // Jitter so parallel retries don't hit the API in lockstep
+  return Math.round(exponential / 2 + Math.random() * exponential / 2)
+}
+
+// Run `fn(signal)` and reject once `ms` elapses, aborting the signal so the request is cancelled
+async function withTimeout(label, ms, fn) {
+  const controller = new AbortController()
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new GenerationTimeoutError(label, ms))
+      controller.abort()
+    }, ms)
+  })
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout])
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Call `generate({ signal, attempt })` through the global rate limiter, retrying
+ * retryable failures with exponential backoff until the per-style deadline.
+ * Throws the last error once retries or the spend cap run out, so the caller can fall back.
+ */
+export async function generateWithRetries(label, generate) {
+  const settings = config()
+  const deadline = Date.now() + settings.timeoutMs
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireRateSlot()
+
+    const remaining = deadline - Date.now()
+    if (remaining <= 0) {
+      throw new GenerationTimeoutError(label, settings.timeoutMs)
+    }
+
+    try {
+      return await withTimeout(label, remaining, signal => generate({ signal, attempt }))
+    } catch (error) {
+      const retriesLeft = attempt < settings.maxRetries
+      if (!retriesLeft || !isRetryableError(error)) {
+        throw error
+      }
+
+      const wait = backoffDelay(attempt, settings)
+      if (Date.now() + wait >= deadline) {
+        throw error
+      }
+      // The caller reserved the first attempt; every retry is another paid call
+      if (!(await reserveGenerations(1)).allowed) {
+        console.warn(`${label} attempt ${attempt + 1} failed (${error.message}), not retrying past the daily spend cap`)
+        throw error
+      }
+
+      console.warn(`${label} attempt ${attempt + 1} failed (${error.message}), retrying in ${wait}ms...`)
+      await delay(wait)
+    }
+  }
+}
+
+/**
+ * Run `fn(item, index)` for every item with at most `limit` running at once.
+ * Resolves to the results in item order; rejects on the first failure.
+ */
+export async function mapWithConcurrency(items, fn, limit = config().concurrency) {
+  const results = new Array(items.length)
+  let next = 0
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker)
+  await Promise.all(workers)
+  return results
+}
@@ -0,0 +1,207 @@
+import crypto from 'crypto'
+import sharp from 'sharp'
+import { getRepository } from './repository.js'
+import { getImageMetadata } from './imageGenerator.js'
+import { readOriginal } from './portraits.js'
+import { composeImage } from './compositor.js'
+import { getPublicBaseUrl } from './delivery.js'
+import { sendMail, renderEmail, isValidEmail } from './mailer.js'
+import { getOrder, isOrderPaid, recordGiftToken } from './orders.js'
+
+// Gifts live in the 'gifts' repository, keyed by their redeemable token.
+// A gift is created once its order is paid and emailed to the recipient at deliverAt:
+// scheduled -> delivered -> redeemed (first opened by the recipient)
+const gifts = () => getRepository('gifts')
+
+const SUPPORT_EMAIL = 'imagegen.studio.help@gmail.com'
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const GIFT_LIMITS = {
+  nameLength: 80,
+  messageLength: 500
+}
+
+/**
+ * GIFT_MAX_SCHEDULE_DAYS (default 90): how far ahead a delivery can be scheduled.
+ * GIFT_DELIVERY_INTERVAL_MINUTES (default 5): how often due gifts are sent.
+ */
+export function getGiftPolicy() {
+  return {
+    maxScheduleMs: parseFloat(process.env.GIFT_MAX_SCHEDULE_DAYS ?? '90') * DAY_MS,
+    deliveryIntervalMs: parseFloat(process.env.GIFT_DELIVERY_INTERVAL_MINUTES ?? '5') * 60 * 1000
+  }
+}
+
+/**
+ * Check the `gift` field of a checkout:
+ * { recipientName, recipientEmail, message, fromName, deliverAt }.
+ * deliverAt (ISO date) is optional and means right after payment when left out.
+ * Returns { gift } or { error }.
+ */
+export function parseGiftRequest(request) {
+  if (!request || typeof request !== 'object') {
+    return { error: 'Invalid gift details' }
+  }
+
+  const recipientName = String(request.recipientName || '').trim()
+  const fromName = String(request.fromName || '').trim() || null
+  const message = String(request.message || '').trim()
+  const recipientEmail = String(request.recipientEmail || '').trim().toLowerCase()
+
+  if (!recipientName || recipientName.length > GIFT_LIMITS.nameLength || (fromName?.length || 0) > GIFT_LIMITS.nameLength) {
+    return { error: `Gift names are required and at most ${GIFT_LIMITS.nameLength} characters` }
+  }
+  if (!isValidEmail(recipientEmail)) {
+    return { error: 'Invalid recipient email address' }
+  }
+  if (message.length > GIFT_LIMITS.messageLength) {
+    return { error: `Gift messages are at most ${GIFT_LIMITS.messageLength} characters` }
+  }
+
+  let deliverAt = null
+  if (request.deliverAt) {
+    const time = Date.parse(request.deliverAt)
+    if (Number.isNaN(time)) {
+      return { error: 'Invalid gift delivery date' }
+    }
+    if (time > Date.now() + getGiftPolicy().maxScheduleMs) {
+      return { error: 'Gift delivery date is too far ahead' }
+    }
+    // A date in the past simply means "now"
+    deliverAt = time > Date.now() ? new Date(time).toISOString() : null
+  }
+
+  return { gift: { recipientName, recipientEmail, fromName, message, deliverAt } }
+}
+
+export async function getGift(token) {
+  return gifts().get(token)
+}
+
+// Gifts sent to `email`, for a data deletion request
+export async function findGiftsForRecipient(email) {
+  return gifts().find({ recipientEmail: email })
+}
+
+export async function deleteGift(token) {
+  return gifts().delete(token)
+}
+
+/**
+ * Create the redeemable gift of a paid gift order, once; later calls return the existing gift.
+ * Gifts due now are delivered straight away, the rest by deliverDueGifts().
+ */
+export async function createGiftForOrder(order) {
+  if (!order.gift) return null
+  if (order.giftToken) return getGift(order.giftToken)
+
+  const token = crypto.randomBytes(24).toString('base64url')
+  const gift = await gifts().put(token, {
+    id: token,
+    orderId: order.id,
+    ...order.gift,
+    deliverAt: order.gift.deliverAt || new Date().toISOString(),
+    status: 'scheduled',
+    deliveredAt: null,
+    redeemedAt: null
+  })
+  await recordGiftToken(order.id, token)
+  console.log(`Gift ${token.slice(0, 8)}… for order ${order.id} scheduled for ${gift.deliverAt}`)
+
+  if (gift.deliverAt <= new Date().toISOString()) {
+    try {
+      return await deliverGift(gift, order)
+    } catch (error) {
+      // Left scheduled, so the next deliverDueGifts() run tries again
+      console.error(`Gift delivery for order ${order.id} failed:`, error.message)
+    }
+  }
+  return gift
+}
+
+export async function markGiftRedeemed(gift) {
+  if (gift.redeemedAt) return gift
+  return gifts().update(gift.id, { status: 'redeemed', redeemedAt: new Date().toISOString() })
+}
+
+// Link for the recipient: the app shows the gift from GET /api/gifts/:token
+export function getGiftUrl(token) {
+  return `${getPublicBaseUrl()}/?gift=${encodeURIComponent(token)}`
+}
+
+/**
+ * The greeting card of a gift, from the portrait `imageId` (the first of the order by default).
+ * Returns a JPEG buffer.
+ */
+export async function renderGiftCard(gift, order, imageId = order.imageIds[0]) {
+  const metadata = await getImageMetadata(imageId)
+  if (!metadata) {
+    throw new Error(`No metadata for image ${imageId}`)
+  }
+
+  return composeImage(await readOriginal(metadata), {
+    layout: 'greeting-card',
+    text: {
+      title: `For ${gift.recipientName}`,
+      message: gift.message,
+      signature: gift.fromName ? `With love, ${gift.fromName}` : null
+    },
+    focus: metadata.crop?.focus
+  })
+}
+
+async function deliverGift(gift, order) {
+  const card = await renderGiftCard(gift, order)
+  const preview = await sharp(card).resize(300).jpeg({ quality: 80 }).toBuffer()
+  const sender = gift.fromName || 'Someone special'
+
+  const { html, text } = await renderEmail('gift-received', {
+    recipientName: gift.recipientName,
+    sender,
+    message: gift.message,
+    giftUrl: getGiftUrl(gift.id),
+    portraitCount: order.imageIds.length === 1 ? 'a portrait' : `${order.imageIds.length} portraits`,
+    supportEmail: SUPPORT_EMAIL
+  })
+
+  await sendMail({
+    to: gift.recipientEmail,
+    subject: `${sender} sent you a Valentine's gift`,
+    html,
+    text,
+    attachments: [{ cid: 'gift-card@imagegen.studio', filename: 'greeting-card.jpg', content: preview, contentType: 'image/jpeg' }]
+  })
+
+  return gifts().update(gift.id, { status: 'delivered', deliveredAt: new Date().toISOString() })
+}
+
+/**
+ * Email every scheduled gift whose delivery time has come. Run by the 'gift-deliveries' task.
+ * Gifts of orders that lost access (refunded, disputed, erased) are not sent.
+ * Returns the number of gifts delivered.
+ */
+export async function deliverDueGifts(now = Date.now()) {
+  const due = (await gifts().find({ status: 'scheduled' }))
+    .filter(gift => gift.deliverAt <= new Date(now).toISOString())
+
+  let delivered = 0
+  for (const gift of due) {
+    try {
+      const order = await getOrder(gift.orderId)
+      if (!isOrderPaid(order) || order.imagesDeletedAt) {
+        await gifts().update(gift.id, { status: 'cancelled' })
+        console.log(`Gift for order ${gift.orderId} cancelled, the order no longer gives access`)
+        continue
+      }
+      await deliverGift(gift, order)
+      delivered++
+    } catch (error) {
+      console.error(`Gift delivery for order ${gift.orderId} failed:`, error.message)
+    }
+  }
+
+  if (due.length > 0) {
+    console.log(`Delivered ${delivered} of ${due.length} due gifts`)
+  }
+  return delivered
+}
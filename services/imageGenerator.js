@@ -1,109 +1,13 @@
 import sharp from 'sharp'
 import { v4 as uuidv4 } from 'uuid'
-import { GoogleGenerativeAI } from '@google/generative-ai'
-import convert from 'heic-convert'
-import { createClient } from '@supabase/supabase-js'
-
-// Lazy initialize Supabase
-let supabase = null
-function getSupabase() {
-  if (supabase === null && process.env.SUPABASE_URL && process.env.SUPABASE_KEY) {
-    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY)
-  }
-  return supabase
-}
-
-const BUCKET_NAME = 'images'
-
-// Lazy initialize Gemini
-let genAI = null
-function getGenAI() {
-  if (genAI === null && process.env.GEMINI_API_KEY) {
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
-  }
-  return genAI
-}
-
-// Style prompts for the 3-pack
-const STYLE_PROMPTS = {
-  'oil-painting': `Transform this photo into a beautiful traditional oil painting on canvas.
-
-KEEP EXACTLY:
-- Same faces, expressions, poses
-- Same composition and framing
-
-MAKE IT LOOK LIKE A REAL OIL PAINTING:
-- Heavy, visible oil paint brushstrokes throughout
-- Thick impasto texture like Van Gogh or Renoir
-- Rich, creamy paint texture on canvas
-- Soft blended edges between colors
-- Classic portrait painting style from the 1800s
-
-COLOR PALETTE:
-- Warm golden undertones
-- Soft romantic pinks and peaches
-- Rich saturated colors
-- Glowing warm skin tones
-
-Make it look like a museum-quality oil painting that was hand-painted on canvas with thick brushstrokes. NOT a photo filter - a real painted look.`,
-
-  'studio-ghibli': `Transform this photo into a Studio Ghibli anime style illustration.
-
-KEEP EXACTLY:
-- Same faces, expressions, poses
-- Same composition and framing
-
-MAKE IT LOOK LIKE STUDIO GHIBLI:
-- Soft watercolor backgrounds with dreamy atmosphere
-- Clean anime-style character designs like Miyazaki films
-- Gentle, warm lighting with soft shadows
-- Whimsical, magical feeling
-- Hand-painted watercolor texture
-
-COLOR PALETTE:
-- Soft pastels and warm earth tones
-- Gentle sky blues and sunset oranges
-- Lush greens and romantic pinks
-- Dreamy, slightly desaturated colors
-
-Make it look like a still frame from a Hayao Miyazaki film - magical, heartwarming, and beautifully hand-drawn.`,
-
-  'mona-lisa': `Transform this photo into a Renaissance masterpiece portrait.
-
-KEEP EXACTLY:
-- Same faces, expressions, poses
-- Same composition and framing
-
-MAKE IT LOOK LIKE A RENAISSANCE PAINTING:
-- Da Vinci sfumato technique with soft, hazy edges
-- Rich oil paint texture on aged canvas
-- Dramatic chiaroscuro lighting
-- Classical Renaissance composition
-- Subtle craquelure (aged painting cracks)
-
-COLOR PALETTE:
-- Rich warm browns and deep shadows
-- Soft flesh tones with warm undertones
-- Dark, moody backgrounds
-- Golden highlights and amber tones
-
-Make it look like a museum masterpiece from the Italian Renaissance, painted by Da Vinci or Raphael - timeless, elegant, and classical.`
-}
-
-function isHeic(buffer) {
-  if (buffer.length < 12) return false
-  const brand = buffer.slice(8, 12).toString('ascii')
-  return ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1'].includes(brand.toLowerCase())
-}
-
-async function convertHeicToJpeg(buffer) {
-  const outputBuffer = await convert({
-    buffer: buffer,
-    format: 'JPEG',
-    quality: 0.95
-  })
-  return Buffer.from(outputBuffer)
-}
+import { putObject, getObject } from './storage.js'
+import { getRepository } from './repository.js'
+import { getStyle, getDefaultStyles } from './styles.js'
+import { generateWithRetries, mapWithConcurrency } from './generationScheduler.js'
+import { getProvider } from './providers/index.js'
+import { renderVariant, DEFAULT_PRESET, DEFAULT_FORMAT } from './renditions.js'
+import { findFocus } from './cropping.js'
+import { isHeic, convertHeicToJpeg, getUploadLimits } from './imageValidation.js'
 
 async function preprocessImage(imageBuffer) {
   let buffer = imageBuffer
@@ -112,63 +16,71 @@ async function preprocessImage(imageBuffer) {
     buffer = await convertHeicToJpeg(buffer)
   }
 
-  return sharp(buffer, { failOn: 'none', limitInputPixels: false })
+  // Customer photos can carry GPS and camera details; sharp drops EXIF, XMP and IPTC
+  // on output, after rotate() has applied the EXIF orientation
+  return sharp(buffer, { limitInputPixels: getUploadLimits().maxPixels })
     .rotate()
     .resize(1500, 1500, { fit: 'inside', withoutEnlargement: true })
     .jpeg({ quality: 95 })
     .toBuffer()
 }
 
-async function uploadToSupabase(imageBuffer, imageId, subfolder = null) {
-  const sb = getSupabase()
-  if (!sb) throw new Error('Supabase not configured')
-
-  const filename = subfolder
+function buildObjectPath(imageId, subfolder = null) {
+  return subfolder
     ? `valentines/${subfolder}/${imageId}.jpg`
     : `valentines/${imageId}.jpg`
+}
 
-  const { error } = await sb.storage
-    .from(BUCKET_NAME)
-    .upload(filename, imageBuffer, { contentType: 'image/jpeg', upsert: true })
-
-  if (error) throw error
-
-  const { data: urlData } = sb.storage.from(BUCKET_NAME).getPublicUrl(filename)
-  return urlData.publicUrl
+async function uploadToSupabase(imageBuffer, imageId, subfolder = null, { private: isPrivate = false } = {}) {
+  return putObject(buildObjectPath(imageId, subfolder), imageBuffer, 'image/jpeg', { private: isPrivate })
 }
 
-async function generateWithGemini(imageBuffer, style = 'oil-painting') {
-  const ai = getGenAI()
-  if (!ai) throw new Error('Gemini API not configured')
+const PREVIEW_WIDTH = 540
+const PREVIEW_HEIGHT = 960
 
-  const model = ai.getGenerativeModel({
-    model: 'gemini-3-pro-image-preview',
-    generationConfig: { responseModalities: ['Text', 'Image'] }
-  })
+function watermarkSvg(width, height) {
+  const rows = []
+  for (let y = -height; y < height * 2; y += 160) {
+    rows.push(`<text x="${-width}" y="${y}" font-size="34" font-family="sans-serif" font-weight="bold"
+      fill="white" fill-opacity="0.35" stroke="black" stroke-opacity="0.15">${'imagegen.studio · PREVIEW · '.repeat(8)}</text>`)
+  }
+  return Buffer.from(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <g transform="rotate(-30 ${width / 2} ${height / 2})">${rows.join('')}</g>
+  </svg>`)
+}
 
-  const prompt = STYLE_PROMPTS[style] || STYLE_PROMPTS['oil-painting']
+// Downscaled copy with a tiled watermark, safe to show publicly before payment.
+// The watermark is sized to the downscaled image, since composed variants aren't always 9:16.
+async function createPreview(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer)
+    .resize(PREVIEW_WIDTH, PREVIEW_HEIGHT, { fit: 'inside' })
+    .toBuffer({ resolveWithObject: true })
 
-  console.log(`Sending ${style} prompt to Gemini...`)
-  const result = await model.generateContent([
-    { inlineData: { mimeType: 'image/jpeg', data: imageBuffer.toString('base64') } },
-    prompt
-  ])
+  return sharp(data)
+    .composite([{ input: watermarkSvg(info.width, info.height), gravity: 'center' }])
+    .jpeg({ quality: 70 })
+    .toBuffer()
+}
 
-  const response = await result.response
-  console.log(`Gemini response received for ${style}`)
+// Store the full-resolution original in private storage (only reachable through signed URLs
+// after payment) and a watermarked preview next to it in public storage.
+async function publishImage(imageBuffer, imageId, subfolder = null) {
+  await uploadToSupabase(imageBuffer, imageId, subfolder, { private: true })
+  const previewUrl = await uploadToSupabase(await createPreview(imageBuffer), `${imageId}-preview`, subfolder)
+  return { storagePath: buildObjectPath(imageId, subfolder), previewUrl }
+}
 
-  // Log any text response from Gemini
-  for (const part of response.candidates?.[0]?.content?.parts || []) {
-    if (part.text) {
-      console.log('Gemini text response:', part.text)
-    }
-    if (part.inlineData) {
-      console.log('Gemini returned image, mimeType:', part.inlineData.mimeType)
-      return Buffer.from(part.inlineData.data, 'base64')
-    }
-  }
+// Store a composed variant of a style (see services/compositor.js) like the style itself:
+// valentines/{sessionId}/{style}-{variantId}.jpg (private) and -preview.jpg (public), so it is
+// erased with the rest of the session
+export async function publishComposition(imageBuffer, { sessionId, style, variantId }) {
+  return publishImage(imageBuffer, `${style}-${variantId}`, sessionId)
+}
 
-  throw new Error('No image generated')
+// Generate a styled image with the configured provider (see services/providers)
+async function generateStyledImage(imageBuffer, style = 'oil-painting', { signal } = {}) {
+  const prompt = (getStyle(style) || getStyle('oil-painting')).prompt
+  return getProvider().generate(imageBuffer, prompt, { style, signal })
 }
 
 export async function generatePortrait(imageBuffer) {
@@ -177,20 +89,20 @@ export async function generatePortrait(imageBuffer) {
   // Preprocess
   const processedBuffer = await preprocessImage(imageBuffer)
 
-  // Generate with Gemini
+  // Generate with the AI provider
   let outputBuffer
   try {
-    outputBuffer = await generateWithGemini(processedBuffer)
+    outputBuffer = await generateStyledImage(processedBuffer)
     outputBuffer = await sharp(outputBuffer)
-      .resize(2160, 3840, { fit: 'cover', position: 'center' })
+      .resize(2160, 3840, { fit: 'cover', position: sharp.strategy.attention })
       .jpeg({ quality: 95 })
       .toBuffer()
   } catch (error) {
-    console.error('Gemini generation failed:', error.message)
+    console.error('AI generation failed:', error.message)
     console.log('Using fallback filter...')
     // Fallback to simple filter
     outputBuffer = await sharp(processedBuffer)
-      .resize(2160, 3840, { fit: 'cover', position: 'center' })
+      .resize(2160, 3840, { fit: 'cover', position: sharp.strategy.attention })
       .modulate({ brightness: 1.1, saturation: 1.2 })
       .tint({ r: 255, g: 230, b: 240 })
       .jpeg({ quality: 95 })
@@ -198,84 +110,235 @@ export async function generatePortrait(imageBuffer) {
   }
 
   // Upload
-  const imageUrl = await uploadToSupabase(outputBuffer, imageId)
+  const { storagePath, previewUrl } = await publishImage(outputBuffer, imageId)
 
-  return { imageId, imageUrl }
+  return { imageId, imageUrl: previewUrl, previewUrl, storagePath }
 }
 
-// Helper to delay between API calls
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
+// Where the preprocessed upload of a session is kept, so single styles can be regenerated later
+export function getSourcePath(sessionId) {
+  return `valentines/${sessionId}/source.jpg`
 }
 
-// Generate 3-pack of portraits with different styles
-export async function generatePortraitPack(imageBuffer, onProgress = null) {
-  const sessionId = uuidv4()
-  const styles = ['oil-painting', 'studio-ghibli', 'mona-lisa']
-  const images = []
-
-  // Preprocess once
-  const processedBuffer = await preprocessImage(imageBuffer)
-
-  for (let i = 0; i < styles.length; i++) {
-    const style = styles[i]
+// Where the uncropped master of a style is kept; every output preset is rendered from it
+export function getMasterPath(sessionId, style) {
+  return `valentines/${sessionId}/${style}-master.png`
+}
 
-    if (onProgress) {
-      onProgress({ current: i + 1, total: styles.length, style })
-    }
+const COUPLE_PROMPT = `Combine the two people from these separate photos into one natural photo of them together as a couple.
+They stand close to each other, shoulder to shoulder, both facing the camera and smiling.
+Keep each person's face, hair, skin tone and clothing exactly as in their own photo.
+Use soft, even lighting and a simple neutral background. Portrait orientation (9:16).`
+
+// Two portraits next to each other, each cropped around its subject. The result is 3:4,
+// so the 9:16 phone crop still keeps most of both people.
+async function composeSideBySide(processedBuffers) {
+  const height = 1500
+  const halfWidth = 560
+  const halves = await Promise.all(processedBuffers.map(buffer => sharp(buffer)
+    .resize(halfWidth, height, { fit: 'cover', position: sharp.strategy.attention })
+    .toBuffer()))
+
+  return sharp({ create: { width: halfWidth * halves.length, height, channels: 3, background: '#ffffff' } })
+    .composite(halves.map((input, i) => ({ input, left: i * halfWidth, top: 0 })))
+    .jpeg({ quality: 95 })
+    .toBuffer()
+}
 
-    console.log(`Generating ${style} (${i + 1}/${styles.length})...`)
+/**
+ * Combine two individual selfies into one couple photo to use as a pack's source.
+ * COUPLE_COMPOSITION 'ai' (default) asks the provider for a joint photo and falls back to
+ * 'side-by-side', a plain sharp composite, when that fails.
+ * Returns { buffer, composition } with the composition that was actually used.
+ */
+export async function composeCoupleSource(imageBuffers) {
+  const processed = await Promise.all(imageBuffers.map(preprocessImage))
 
-    let outputBuffer
+  if ((process.env.COUPLE_COMPOSITION || 'ai') === 'ai') {
     try {
-      outputBuffer = await generateWithGemini(processedBuffer, style)
-      outputBuffer = await sharp(outputBuffer)
-        .resize(2160, 3840, { fit: 'cover', position: 'center' })
-        .jpeg({ quality: 95 })
-        .toBuffer()
+      const composed = await generateWithRetries('couple', ({ signal }) =>
+        getProvider().generate(processed, COUPLE_PROMPT, { style: 'couple', signal })
+      )
+      return { buffer: await preprocessImage(composed), composition: 'ai' }
     } catch (error) {
-      console.error(`Gemini generation failed for ${style}:`, error.message)
-      console.log('Using fallback filter...')
-      // Fallback to simple filter with style-specific tints
-      const tints = {
-        'oil-painting': { r: 255, g: 230, b: 240 },
-        'studio-ghibli': { r: 240, g: 255, b: 250 },
-        'mona-lisa': { r: 255, g: 240, b: 220 }
-      }
-      outputBuffer = await sharp(processedBuffer)
-        .resize(2160, 3840, { fit: 'cover', position: 'center' })
-        .modulate({ brightness: 1.1, saturation: 1.2 })
-        .tint(tints[style] || tints['oil-painting'])
-        .jpeg({ quality: 95 })
-        .toBuffer()
+      console.error('Couple composition failed, using side-by-side:', error.message)
     }
+  }
 
-    // Upload to Supabase folder: valentines/{sessionId}/{style}.jpg
-    const imageUrl = await uploadToSupabase(outputBuffer, style, sessionId)
-    const imageId = `${sessionId}_${style}`
+  return { buffer: await composeSideBySide(processed), composition: 'side-by-side' }
+}
 
-    images.push({ imageId, imageUrl, style })
+// Generate one style from a preprocessed source and upload it to valentines/{sessionId}/{style}.jpg.
+// The style only falls back to the sharp filter after its provider retries run out.
+async function renderStyle(processedBuffer, { sessionId, style, current, total, onProgress }) {
+  if (onProgress) {
+    onProgress({ stage: 'started', sessionId, current, total, style })
+  }
 
-    // Add delay between API calls (except after the last one)
-    if (i < styles.length - 1) {
-      console.log('Waiting 1 second before next generation...')
-      await delay(1000)
+  console.log(`Generating ${style} (${current}/${total})...`)
+
+  const started = Date.now()
+  let masterBuffer
+  let generationMode = 'ai'
+  let fallbackReason = null
+  try {
+    const generated = await generateWithRetries(style, ({ signal }) => generateStyledImage(processedBuffer, style, { signal }))
+    masterBuffer = await sharp(generated).png().toBuffer()
+  } catch (error) {
+    console.error(`AI generation failed for ${style}:`, error.message)
+    console.log('Using fallback filter...')
+    if (onProgress) {
+      onProgress({ stage: 'fallback', sessionId, current, total, style, reason: error.message })
     }
+    // Fallback to simple filter with style-specific tints
+    generationMode = 'fallback'
+    fallbackReason = error.message
+    const tint = (getStyle(style) || getStyle('oil-painting')).fallbackTint
+    masterBuffer = await sharp(processedBuffer)
+      .modulate({ brightness: 1.1, saturation: 1.2 })
+      .tint(tint)
+      .png()
+      .toBuffer()
+  }
+
+  // Keep the uncropped master privately so other presets can be rendered after purchase
+  const masterPath = getMasterPath(sessionId, style)
+  await putObject(masterPath, masterBuffer, 'image/png', { private: true })
+
+  // Crop around the couple rather than the centre; the crop is recorded so later
+  // renders at other aspect ratios use the same focus
+  const focus = await findFocus(masterBuffer)
+  const { buffer: outputBuffer, cropBox } = await renderVariant(masterBuffer, DEFAULT_PRESET, DEFAULT_FORMAT, { focus })
+  const crop = { focus, preset: DEFAULT_PRESET, box: cropBox }
+
+  // Upload to Supabase folder: valentines/{sessionId}/{style}.jpg (private) and {style}-preview.jpg (public)
+  const { storagePath, previewUrl } = await publishImage(outputBuffer, style, sessionId)
+  const imageId = `${sessionId}_${style}`
+
+  // imageUrl is the watermarked preview; the original is only handed out after payment
+  // generationMs and fallbackReason are kept for the admin API
+  const image = {
+    imageId, imageUrl: previewUrl, previewUrl, storagePath, masterPath, crop, style, generationMode,
+    generationMs: Date.now() - started,
+    fallbackReason
+  }
+
+  if (onProgress) {
+    onProgress({ stage: 'completed', sessionId, current, total, style, image })
   }
 
-  return { sessionId, images }
+  return image
 }
 
-const imageStore = new Map()
+// Generate a pack of portraits with different styles (the catalog's default 3-pack unless `styles` is given).
+// Styles run in parallel through the generation scheduler.
+// onProgress is called with stage 'started' before each style, 'fallback' when generation fails
+// and the filter is used instead, and 'completed' with its image after.
+// Each image carries generationMode 'ai' or 'fallback' so filter-only results are never sold as AI art.
+// `imageBuffer` may also be an array of two selfies, which are first combined into one
+// couple photo (see composeCoupleSource); `composition` in the result says how.
+export async function generatePortraitPack(imageBuffer, onProgress = null, { styles = getDefaultStyles(), sessionId = uuidv4() } = {}) {
+  const total = styles.length
+
+  // Preprocess once, and keep the result for later regenerations
+  let processedBuffer
+  let composition = null
+  if (Array.isArray(imageBuffer)) {
+    ({ buffer: processedBuffer, composition } = await composeCoupleSource(imageBuffer))
+  } else {
+    processedBuffer = await preprocessImage(imageBuffer)
+  }
+  await putObject(getSourcePath(sessionId), processedBuffer, 'image/jpeg', { private: true })
+
+  const images = await mapWithConcurrency(styles, (style, i) =>
+    renderStyle(processedBuffer, { sessionId, style, current: i + 1, total, onProgress })
+  )
+
+  return { sessionId, images, composition }
+}
+
+// Generate one style of an existing session again from its stored source, overwriting
+// valentines/{sessionId}/{style}.jpg and recording the result as a new metadata version.
+// Reports progress like generatePortraitPack.
+export async function regenerateStyle(sessionId, style, onProgress = null) {
+  const processedBuffer = await getObject(getSourcePath(sessionId), { private: true })
+
+  // Hold back 'completed' until the new version is stored, so clients get the versioned URL
+  const image = await renderStyle(processedBuffer, {
+    sessionId,
+    style,
+    current: 1,
+    total: 1,
+    onProgress: (progress) => progress.stage !== 'completed' && onProgress?.(progress)
+  })
+
+  const metadata = await storeImageVersion(image.imageId, { ...image, sessionId })
+  const versioned = { ...image, imageUrl: metadata.imageUrl, previewUrl: metadata.previewUrl, version: metadata.version }
+
+  if (onProgress) {
+    onProgress({ stage: 'completed', sessionId, current: 1, total: 1, style, image: versioned })
+  }
+
+  return { sessionId, images: [versioned] }
+}
+
+// Image metadata lives in the 'image_metadata' repository so it survives restarts.
+// Resolved lazily so the store driver is picked after dotenv has run.
+const imageStore = () => getRepository('image_metadata')
+
+export async function findImagesBySession(sessionId) {
+  return imageStore().find({ sessionId })
+}
+
+export async function deleteImageMetadata(imageId) {
+  return imageStore().delete(imageId)
+}
+
+export async function storeImageMetadata(imageId, metadata) {
+  // createdAt stays that of the first version (see storeImageVersion)
+  return imageStore().put(imageId, { ...metadata, imageId })
+}
+
+/**
+ * Store a regenerated image as the next version of its metadata.
+ * The files are overwritten in place, so the preview URL gets a ?v= suffix to bust caches,
+ * and the earlier versions are kept in `versions`.
+ */
+export async function storeImageVersion(imageId, image) {
+  const existing = await getImageMetadata(imageId)
+  const versions = existing?.versions || (existing
+    ? [{ version: 1, generationMode: existing.generationMode || 'ai', createdAt: existing.createdAt }]
+    : [])
+  const version = versions.length + 1
+  const createdAt = new Date().toISOString()
+
+  return storeImageMetadata(imageId, {
+    ...existing,
+    theme: image.style,
+    sessionId: image.sessionId,
+    imageUrl: `${image.previewUrl}?v=${version}`,
+    previewUrl: `${image.previewUrl}?v=${version}`,
+    storagePath: image.storagePath,
+    masterPath: image.masterPath,
+    crop: image.crop,
+    generationMode: image.generationMode,
+    generationMs: image.generationMs,
+    fallbackReason: image.fallbackReason,
+    version,
+    versions: [...versions, { version, generationMode: image.generationMode, generationMs: image.generationMs, fallbackReason: image.fallbackReason, createdAt }]
+  })
+}
 
-export function storeImageMetadata(imageId, metadata) {
-  imageStore.set(imageId, { ...metadata, createdAt: new Date().toISOString() })
+export async function getImageMetadata(imageId) {
+  return imageStore().get(imageId)
 }
 
-export function getImageMetadata(imageId) {
-  return imageStore.get(imageId)
+export async function getImagePath(imageId) {
+  return (await imageStore().get(imageId))?.imageUrl || null
 }
 
-export function getImagePath(imageId) {
-  return imageStore.get(imageId)?.imageUrl || null
+// Composed variants of an image are listed on its metadata, oldest first. Appended atomically;
+// resolves to null when the image is gone or already has `maxCompositions`.
+export async function addImageComposition(imageId, composition, { maxCompositions = null } = {}) {
+  return imageStore().append(imageId, 'compositions', composition, { maxLength: maxCompositions })
 }
@@ -0,0 +1,212 @@
+import sharp from 'sharp'
+import convert from 'heic-convert'
+
+/**
+ * Validation of customer uploads before anything is spent on generation.
+ * Each failure carries a stable `code` the client can map to a message:
+ * UNSUPPORTED_FORMAT, CORRUPT_IMAGE, IMAGE_TOO_LARGE, IMAGE_TOO_SMALL, IMAGE_TOO_BLURRY
+ */
+export class ImageValidationError extends Error {
+  constructor(code, message, status = 422) {
+    super(message)
+    this.name = 'ImageValidationError'
+    this.code = code
+    this.status = status
+  }
+}
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']
+const AVIF_BRANDS = ['avif', 'avis']
+
+export function getUploadLimits() {
+  return {
+    // Decoded size, so a small file can't expand into a decompression bomb
+    maxPixels: parseInt(process.env.UPLOAD_MAX_PIXELS, 10) || 40_000_000,
+    // Shorter side, in pixels
+    minDimension: parseInt(process.env.UPLOAD_MIN_DIMENSION, 10) || 400,
+    // Variance of the Laplacian at 512px, see measureSharpness
+    minSharpness: parseFloat(process.env.UPLOAD_MIN_SHARPNESS ?? '15')
+  }
+}
+
+/**
+ * Identify an upload from its magic bytes, ignoring the client-supplied mimetype.
+ * Returns 'jpeg', 'png', 'webp', 'heic', 'avif' or null.
+ */
+export function detectFormat(buffer) {
+  if (buffer.length < 12) return null
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg'
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png'
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp'
+
+  // ISO base media files (HEIC, AVIF) start with an ftyp box naming the major brand
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12).toLowerCase()
+    if (AVIF_BRANDS.includes(brand)) return 'avif'
+    if (HEIC_BRANDS.includes(brand)) return 'heic'
+  }
+
+  return null
+}
+
+export function isHeic(buffer) {
+  return detectFormat(buffer) === 'heic'
+}
+
+// Children of an ISO base media box, as { type, start, end } of their payloads
+function readBoxes(buffer, start, end) {
+  const boxes = []
+  let offset = start
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset)
+    const type = buffer.toString('ascii', offset + 4, offset + 8)
+    let header = 8
+    if (size === 1) {
+      if (offset + 16 > end) break
+      size = Number(buffer.readBigUInt64BE(offset + 8))
+      header = 16
+    } else if (size === 0) {
+      size = end - offset
+    }
+    if (size < header || offset + size > end) break
+    boxes.push({ type, start: offset + header, end: offset + size })
+    offset += size
+  }
+  return boxes
+}
+
+/**
+ * Width and height of a HEIC from its container, without decoding: the largest of the
+ * image spatial extents ('ispe' properties in meta/iprp/ipco), so a grid image counts at
+ * its full size rather than per tile. Returns null when the container has none.
+ */
+export function readHeicDimensions(buffer) {
+  const child = (box, type, skip = 0) => readBoxes(buffer, box.start + skip, box.end).find(found => found.type === type)
+
+  // meta is a full box, its children come after 4 bytes of version and flags
+  const meta = readBoxes(buffer, 0, buffer.length).find(box => box.type === 'meta')
+  const iprp = meta && child(meta, 'iprp', 4)
+  const ipco = iprp && child(iprp, 'ipco')
+  if (!ipco) return null
+
+  let largest = null
+  for (const box of readBoxes(buffer, ipco.start, ipco.end)) {
+    if (box.type !== 'ispe' || box.end - box.start < 12) continue
+    const width = buffer.readUInt32BE(box.start + 4)
+    const height = buffer.readUInt32BE(box.start + 8)
+    if (!largest || width * height > largest.width * largest.height) {
+      largest = { width, height }
+    }
+  }
+  return largest
+}
+
+/**
+ * Decode a HEIC into a JPEG. The decoder is pure JS and holds every pixel in memory, so the
+ * size from the container is checked against UPLOAD_MAX_PIXELS first; throws
+ * ImageValidationError when it is missing or too large.
+ */
+export async function convertHeicToJpeg(buffer) {
+  const { maxPixels } = getUploadLimits()
+  const dimensions = readHeicDimensions(buffer)
+  if (!dimensions?.width || !dimensions?.height) {
+    throw new ImageValidationError('CORRUPT_IMAGE', 'This photo could not be read, it may be damaged')
+  }
+  if (dimensions.width * dimensions.height > maxPixels) {
+    throw new ImageValidationError('IMAGE_TOO_LARGE', `Photos can be at most ${Math.round(maxPixels / 1e6)} megapixels`, 413)
+  }
+
+  const outputBuffer = await convert({
+    buffer: buffer,
+    format: 'JPEG',
+    quality: 0.95
+  })
+  return Buffer.from(outputBuffer)
+}
+
+/**
+ * Sharpness as the variance of the Laplacian of a 512px greyscale copy.
+ * Focused photos score in the hundreds; heavily blurred ones in single digits.
+ */
+export async function measureSharpness(buffer) {
+  const { data, info } = await sharp(buffer, { limitInputPixels: getUploadLimits().maxPixels })
+    .rotate()
+    .resize(512, 512, { fit: 'inside' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+
+  const { width, height } = info
+  let sum = 0
+  let sumOfSquares = 0
+  let count = 0
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x
+      const laplacian = data[i - 1] + data[i + 1] + data[i - width] + data[i + width] - 4 * data[i]
+      sum += laplacian
+      sumOfSquares += laplacian * laplacian
+      count++
+    }
+  }
+
+  if (count === 0) return 0
+  return sumOfSquares / count - (sum / count) ** 2
+}
+
+/**
+ * Check an upload and make it decodable by sharp (HEIC is converted to JPEG).
+ * Throws ImageValidationError; resolves to { buffer, format, width, height, sharpness }.
+ */
+export async function validateUpload(buffer) {
+  const format = detectFormat(buffer)
+  if (!format) {
+    throw new ImageValidationError('UNSUPPORTED_FORMAT', 'Please upload a JPEG, PNG, WebP, HEIC or AVIF photo', 415)
+  }
+
+  const { maxPixels, minDimension, minSharpness } = getUploadLimits()
+
+  let decodable = buffer
+  if (format === 'heic') {
+    try {
+      decodable = await convertHeicToJpeg(buffer)
+    } catch (error) {
+      if (error instanceof ImageValidationError) throw error
+      throw new ImageValidationError('CORRUPT_IMAGE', 'This photo could not be read, it may be damaged')
+    }
+  }
+
+  // Header only, so oversized images are refused before they are decoded
+  let metadata
+  try {
+    metadata = await sharp(decodable, { limitInputPixels: false }).metadata()
+  } catch (error) {
+    throw new ImageValidationError('CORRUPT_IMAGE', 'This photo could not be read, it may be damaged')
+  }
+
+  const { width, height } = metadata
+  if (!width || !height) {
+    throw new ImageValidationError('CORRUPT_IMAGE', 'This photo could not be read, it may be damaged')
+  }
+  if (width * height > maxPixels) {
+    throw new ImageValidationError('IMAGE_TOO_LARGE', `Photos can be at most ${Math.round(maxPixels / 1e6)} megapixels`, 413)
+  }
+  if (Math.min(width, height) < minDimension) {
+    throw new ImageValidationError('IMAGE_TOO_SMALL', `Photos must be at least ${minDimension}px on the shorter side`)
+  }
+
+  // Decoding the whole image also catches truncated or corrupt pixel data
+  let sharpness
+  try {
+    sharpness = await measureSharpness(decodable)
+  } catch (error) {
+    throw new ImageValidationError('CORRUPT_IMAGE', 'This photo could not be read, it may be damaged')
+  }
+  if (sharpness < minSharpness) {
+    throw new ImageValidationError('IMAGE_TOO_BLURRY', 'This photo looks too blurry, please use a sharper one')
+  }
+
+  return { buffer: decodable, format, width, height, sharpness }
+}
@@ -0,0 +1,161 @@
+import { EventEmitter } from 'events'
+import { v4 as uuidv4 } from 'uuid'
+
+// Finished jobs are kept around this long so clients can still poll the result
+const JOB_TTL_MS = 60 * 60 * 1000
+
+const jobs = new Map()
+
+// Per-job event emitters, kept out of the job object so it stays serializable
+const emitters = new Map()
+
+/**
+ * Create a queued job for a portrait pack generation or a style regeneration.
+ * `styles` is the list of styles the job will produce, in order.
+ */
+export function createJob({ styles, sessionId = null, originalName = null }) {
+  const job = {
+    id: uuidv4(),
+    status: 'queued',
+    sessionId,
+    originalName,
+    total: styles.length,
+    completed: 0,
+    styles: Object.fromEntries(styles.map(style => [style, { status: 'pending' }])),
+    images: [],
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  }
+
+  jobs.set(job.id, job)
+  emitters.set(job.id, new EventEmitter())
+  return job
+}
+
+export function getJob(jobId) {
+  return jobs.get(jobId) || null
+}
+
+/**
+ * Listen to events of a job. The listener receives `(type, data)` where type is
+ * one of 'progress', 'image', 'fallback', 'complete' or 'failed'.
+ * Returns a function that removes the listener.
+ */
+export function subscribeToJob(jobId, listener) {
+  const emitter = emitters.get(jobId)
+  if (!emitter) return () => {}
+
+  emitter.on('event', listener)
+  return () => emitter.off('event', listener)
+}
+
+// What clients may see of an image: storagePath and masterPath point into private storage, and
+// timings and fallback reasons are only for the admin API
+export function publicImage({ imageId, imageUrl, previewUrl, style, generationMode, crop, version }) {
+  return { imageId, imageUrl, previewUrl, style, generationMode, crop, ...(version && { version }) }
+}
+
+function emit(job, type, data) {
+  emitters.get(job.id)?.emit('event', type, data)
+}
+
+// Apply an onProgress({ stage, current, total, style, image }) event to the job state
+function applyProgress(job, progress) {
+  if (progress.sessionId) {
+    job.sessionId = progress.sessionId
+  }
+
+  const { stage, style, current, total } = progress
+  const entry = job.styles[style] || (job.styles[style] = { status: 'pending' })
+
+  if (stage === 'completed') {
+    entry.status = 'complete'
+    entry.imageId = progress.image.imageId
+    entry.imageUrl = progress.image.imageUrl
+    entry.generationMode = progress.image.generationMode
+    job.images.push(progress.image)
+    job.completed = job.images.length
+    job.status = job.completed < job.total ? 'partial' : job.status
+    emit(job, 'image', { style, current, total, image: publicImage(progress.image) })
+  } else if (stage === 'fallback') {
+    entry.fallback = true
+    emit(job, 'fallback', { style, current, total, reason: progress.reason })
+  } else {
+    entry.status = 'running'
+    emit(job, 'progress', { style, current, total, sessionId: job.sessionId })
+  }
+}
+
+/**
+ * Run `task(onProgress)` in the background and track its state on the job.
+ * The task must resolve to `{ sessionId, images }`, as generatePortraitPack does.
+ */
+export function runJob(job, task) {
+  const onProgress = (progress) => applyProgress(job, progress)
+
+  // Start on the next tick so the caller can respond with the queued job first
+  new Promise(resolve => setImmediate(resolve))
+    .then(() => {
+      job.status = 'running'
+      job.startedAt = new Date().toISOString()
+      return task(onProgress)
+    })
+    .then((result) => {
+      job.sessionId = result.sessionId
+      job.images = result.images
+      job.completed = result.images.length
+      job.status = 'complete'
+      job.finishedAt = new Date().toISOString()
+      emit(job, 'complete', serializeJob(job))
+    })
+    .catch((error) => {
+      console.error(`Job ${job.id} failed:`, error.message)
+      job.status = 'failed'
+      job.error = error.message
+      job.finishedAt = new Date().toISOString()
+      for (const entry of Object.values(job.styles)) {
+        if (entry.status === 'running') entry.status = 'failed'
+      }
+      emit(job, 'failed', serializeJob(job))
+    })
+    .finally(() => {
+      setTimeout(() => {
+        jobs.delete(job.id)
+        emitters.get(job.id)?.removeAllListeners()
+        emitters.delete(job.id)
+      }, JOB_TTL_MS).unref()
+    })
+
+  return job
+}
+
+export function isJobFinished(job) {
+  return job.status === 'complete' || job.status === 'failed'
+}
+
+/**
+ * Public view of a job, as returned by GET /api/generate/:jobId
+ */
+export function serializeJob(job) {
+  const fallbackStyles = job.images.filter(img => img.generationMode === 'fallback').map(img => img.style)
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    sessionId: job.sessionId,
+    progress: { completed: job.completed, total: job.total },
+    styles: job.styles,
+    images: job.images.map(publicImage),
+    fallbackStyles,
+    // Styles worth another try through POST /api/sessions/:sessionId/regenerate
+    regenerate: fallbackStyles.length > 0
+      ? { styles: fallbackStyles, url: `/api/sessions/${job.sessionId}/regenerate` }
+      : null,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  }
+}
@@ -0,0 +1,242 @@
+import { getRepository } from './repository.js'
+
+// Orders are keyed by Stripe Checkout session id (or mock_ id, or free_ id for orders a voucher
+// paid in full) and live in the 'orders' repository.
+// Payment status:     pending -> paid -> refunded | disputed (access revoked)
+// Fulfillment status: unfulfilled -> fulfilled (downloads are counted separately)
+const orders = () => getRepository('orders')
+
+// Orders that never went through Stripe Checkout have nothing to look up there
+export function isStripeOrderId(id) {
+  return !id.startsWith('mock_') && !id.startsWith('free_')
+}
+
+// tier is the pricing tier the images were sold as (see services/pricing.js);
+// addOns are paid extras on top of the images, e.g. 'print' for print-ready files
+// accountId links the order to a signed-in customer (see services/accounts.js)
+// gift holds the recipient details of a gift purchase (see services/gifts.js)
+// voucherCode and voucherDiscount record a discount voucher used at checkout (see services/vouchers.js)
+// sessionIds are the sessions of the images, so the orders of a session can be queried
+export async function createOrder({ id, imageIds, tier = null, addOns = [], amountTotal = null, currency = 'usd', customerEmail = null, accountId = null, gift = null, voucherCode = null, voucherDiscount = null, paid = false }) {
+  const now = new Date().toISOString()
+  return orders().put(id, {
+    id,
+    stripeSessionId: isStripeOrderId(id) ? id : null,
+    imageIds,
+    sessionIds: sessionIdsOf(imageIds),
+    tier,
+    addOns,
+    amountTotal,
+    currency,
+    customerEmail,
+    accountId,
+    gift,
+    giftToken: null,
+    voucherCode,
+    voucherDiscount,
+    paymentIntentId: null,
+    status: paid ? 'paid' : 'pending',
+    fulfillmentStatus: paid ? 'fulfilled' : 'unfulfilled',
+    paidAt: paid ? now : null,
+    fulfilledAt: paid ? now : null,
+    downloadCount: 0,
+    lastDownloadedAt: null,
+    lastDeliveryEmailAt: null,
+    mock: id.startsWith('mock_')
+  })
+}
+
+export async function getOrder(id) {
+  return orders().get(id)
+}
+
+export async function findOrdersByEmail(customerEmail) {
+  return orders().find({ customerEmail })
+}
+
+/**
+ * Orders placed while signed in, plus orders paid with the account's email address
+ * (the account proved it owns that address by logging in). Newest first.
+ */
+export async function findOrdersForAccount(account) {
+  const found = new Map()
+  for (const order of [...await orders().find({ accountId: account.id }), ...await findOrdersByEmail(account.email)]) {
+    found.set(order.id, order)
+  }
+  return [...found.values()].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+}
+
+export function isOrderPaid(order) {
+  return order?.status === 'paid'
+}
+
+/**
+ * Record a completed Stripe Checkout session on its order.
+ * Creates the order from the session metadata if it was never recorded locally.
+ */
+export async function recordCheckoutSession(session) {
+  const existing = await getOrder(session.id)
+  const paid = session.payment_status === 'paid'
+  const now = new Date().toISOString()
+
+  const order = {
+    ...(existing || await createOrder({
+      id: session.id,
+      imageIds: JSON.parse(session.metadata?.imageIds || '[]'),
+      tier: session.metadata?.tier || null,
+      accountId: session.metadata?.accountId || null,
+      gift: session.metadata?.gift
+        ? { ...JSON.parse(session.metadata.gift), recipientEmail: session.metadata.giftRecipient, message: session.metadata.giftMessage || '' }
+        : null,
+      addOns: JSON.parse(session.metadata?.addOns || '[]'),
+      voucherCode: session.metadata?.voucher || null,
+      voucherDiscount: session.metadata?.voucherDiscount ? parseInt(session.metadata.voucherDiscount, 10) : null
+    })),
+    amountTotal: session.amount_total,
+    currency: session.currency,
+    customerEmail: (session.customer_details?.email || session.customer_email || existing?.customerEmail || '').toLowerCase() || null,
+    paymentIntentId: session.payment_intent || null
+  }
+
+  // A refund or dispute can arrive before a late completion event; it must not restore access
+  if (paid && !isOrderPaid(order) && !order.accessRevokedAt) {
+    order.status = 'paid'
+    order.paidAt = now
+    // Portraits are digital, so a paid order is fulfilled as soon as they are downloadable
+    order.fulfillmentStatus = 'fulfilled'
+    order.fulfilledAt = now
+  }
+
+  return orders().put(session.id, order)
+}
+
+// Image ids are `${sessionId}_${style}`
+function sessionIdsOf(imageIds) {
+  return [...new Set((imageIds || []).map(id => id.split('_')[0]))]
+}
+
+export function getOrderSessionIds(order) {
+  return order.sessionIds || sessionIdsOf(order.imageIds)
+}
+
+export async function findOrderByPaymentIntent(paymentIntentId) {
+  const [order] = await orders().find({ paymentIntentId }, { limit: 1 })
+  return order || null
+}
+
+/**
+ * Take download access away from an order, after a full refund ('refunded') or a
+ * chargeback ('disputed'). The order is kept with the reason for bookkeeping.
+ */
+export async function revokeOrderAccess(id, reason, details = {}) {
+  const now = new Date().toISOString()
+  return orders().update(id, {
+    ...details,
+    status: reason,
+    accessRevokedAt: now,
+    accessRevokedReason: reason
+  })
+}
+
+// Partial refunds (e.g. of an add-on) leave access in place and are only recorded
+export async function recordRefund(id, { amountRefunded }) {
+  return orders().update(id, { amountRefunded, refundedAt: new Date().toISOString() })
+}
+
+// The customer can still retry in Checkout, so a failed attempt is recorded but the order stays pending
+export async function recordPaymentFailure(id, { code, message }) {
+  return orders().update(id, {
+    lastPaymentError: { code: code || null, message: message || null, at: new Date().toISOString() }
+  })
+}
+
+/**
+ * Mark an order paid and fulfilled by hand, e.g. when its webhook never arrived or support
+ * settled the payment another way. `note` says why, for the record.
+ */
+export async function markOrderFulfilled(id, { note = null } = {}) {
+  const order = await getOrder(id)
+  if (!order) return null
+
+  const now = new Date().toISOString()
+  return orders().update(id, {
+    status: 'paid',
+    paidAt: order.paidAt || now,
+    fulfillmentStatus: 'fulfilled',
+    fulfilledAt: order.fulfilledAt || now,
+    manualFulfillment: { note, at: now }
+  })
+}
+
+export async function deleteOrder(id) {
+  return orders().delete(id)
+}
+
+// Newest first; a session is only ever in a handful of orders
+export async function findOrdersForSession(sessionId) {
+  return orders().find({}, { contains: { sessionIds: sessionId } })
+}
+
+/**
+ * Strip personal details from an order for a data deletion request, keeping amounts, images and
+ * payment ids for bookkeeping. The buyer's email, account link and delivery addresses go, and
+ * so do the gift's recipient, sender name and message; `giftOnly` keeps the buyer's details,
+ * for when the recipient asked to be erased.
+ */
+export async function anonymiseOrder(id, { giftOnly = false } = {}) {
+  const order = await getOrder(id)
+  if (!order) return null
+
+  const gift = order.gift && { ...order.gift, recipientName: null, recipientEmail: null, fromName: null, message: null }
+  return orders().update(id, {
+    gift,
+    giftToken: null,
+    ...(!giftOnly && {
+      customerEmail: null,
+      accountId: null,
+      deliveryEmails: (order.deliveryEmails || []).map(({ to, ...sent }) => sent),
+      anonymisedAt: new Date().toISOString()
+    })
+  })
+}
+
+// The order itself is kept for bookkeeping after its portraits are erased
+export async function markOrderImagesDeleted(id) {
+  return orders().update(id, { imagesDeletedAt: new Date().toISOString() })
+}
+
+export function hasAddOn(order, addOn) {
+  return (order?.addOns || []).includes(addOn)
+}
+
+export async function recordDownload(id) {
+  const order = await getOrder(id)
+  if (!order) return null
+
+  return orders().update(id, {
+    downloadCount: (order.downloadCount || 0) + 1,
+    lastDownloadedAt: new Date().toISOString()
+  })
+}
+
+// Every delivery email sent for the order, for support and to avoid emailing twice
+export async function recordDeliveryEmail(id, { to, messageId }) {
+  const order = await getOrder(id)
+  if (!order) return null
+
+  const sentAt = new Date().toISOString()
+  return orders().update(id, {
+    deliveryEmails: [...(order.deliveryEmails || []), { to, messageId, sentAt }],
+    lastDeliveryEmailAt: sentAt
+  })
+}
+
+export async function recordGiftToken(id, giftToken) {
+  return orders().update(id, { giftToken })
+}
+
+// Whether a paid order that still gives access includes the image
+export async function isImagePurchased(imageId) {
+  const orders = await findOrdersForSession(imageId.split('_')[0])
+  return orders.some(order => isOrderPaid(order) && !order.imagesDeletedAt && order.imageIds.includes(imageId))
+}
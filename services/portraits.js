@@ -0,0 +1,57 @@
+import { getImageMetadata } from './imageGenerator.js'
+import { getObject, createSignedUrl, getSignedUrlTtl } from './storage.js'
+
+// Image ids are `${sessionId}_${style}`
+function extractStyle(imageId) {
+  const parts = imageId.split('_')
+  return parts[parts.length - 1]
+}
+
+/**
+ * Purchased portraits as returned by GET /api/images/:sessionId:
+ * { imageId, imageUrl, previewUrl, style, expiresAt, compositions }. Originals are private, so each
+ * imageUrl is a signed URL that expires after SIGNED_URL_TTL_SECONDS; compositions are the
+ * variants made with POST /api/images/:imageId/compose.
+ * Images whose files are gone are left out.
+ */
+export async function describePurchasedImages(imageIds) {
+  const ttl = getSignedUrlTtl()
+  const expiresAt = new Date(Date.now() + ttl * 1000).toISOString()
+
+  const images = await Promise.all(imageIds.map(async id => {
+    const metadata = await getImageMetadata(id)
+    const style = metadata?.theme || extractStyle(id)
+    const imageUrl = metadata?.storagePath
+      ? await createSignedUrl(metadata.storagePath, ttl)
+      : metadata?.imageUrl
+    const compositions = await Promise.all((metadata?.compositions || []).map(async composition => ({
+      variantId: composition.variantId,
+      layout: composition.layout,
+      imageUrl: await createSignedUrl(composition.storagePath, ttl),
+      previewUrl: composition.previewUrl
+    })))
+    return {
+      imageId: id,
+      imageUrl,
+      previewUrl: metadata?.previewUrl || null,
+      style,
+      expiresAt,
+      compositions
+    }
+  }))
+  return images.filter(img => img.imageUrl)
+}
+
+/**
+ * The full-resolution original of an image from its metadata. Images generated before
+ * originals moved to private storage only have a public URL.
+ */
+export async function readOriginal(metadata) {
+  if (metadata.storagePath) {
+    return getObject(metadata.storagePath, { private: true })
+  }
+
+  const response = await fetch(metadata.imageUrl)
+  if (!response.ok) throw new Error(`Failed to fetch image ${metadata.imageId}`)
+  return Buffer.from(await response.arrayBuffer())
+}
@@ -0,0 +1,152 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { listStyles } from './styles.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_PRICING_PATH = path.join(__dirname, '..', 'config', 'pricing.json')
+
+/**
+ * Price list, loaded from config/pricing.json (or PRICING_CONFIG) on first use.
+ * Amounts are in the smallest unit of each currency (cents, pence).
+ *
+ * - tiers:            what a checkout is sold as, by number of images. `images: "all"`
+ *                     means one image of every enabled style (the full catalog bundle)
+ * - addOns:           paid extras such as print-ready files
+ * - currencies:       supported currencies and Stripe's minimum charge in each
+ * - localeCurrencies: customer locale (or its language) to currency
+ * Every tier and add-on needs a price in every currency.
+ */
+let pricing = null
+
+function loadPricing() {
+  if (pricing) return pricing
+
+  const pricingPath = process.env.PRICING_CONFIG || DEFAULT_PRICING_PATH
+  const parsed = JSON.parse(fs.readFileSync(pricingPath, 'utf-8'))
+  const currencies = Object.keys(parsed.currencies)
+
+  const priced = [...parsed.tiers, ...Object.values(parsed.addOns || {})]
+  for (const item of priced) {
+    const missing = currencies.filter(currency => !Number.isInteger(item.prices?.[currency]))
+    if (missing.length > 0) {
+      throw new Error(`Invalid ${pricingPath}: ${item.id || item.name} has no price in ${missing.join(', ')}`)
+    }
+  }
+  if (!parsed.currencies[parsed.defaultCurrency]) {
+    throw new Error(`Invalid ${pricingPath}: defaultCurrency ${parsed.defaultCurrency} is not a supported currency`)
+  }
+
+  pricing = {
+    defaultCurrency: parsed.defaultCurrency,
+    currencies: parsed.currencies,
+    localeCurrencies: Object.fromEntries(Object.entries(parsed.localeCurrencies || {}).map(([locale, currency]) => [locale.toLowerCase(), currency])),
+    tiers: parsed.tiers,
+    addOns: parsed.addOns || {}
+  }
+  return pricing
+}
+
+export function listCurrencies() {
+  return Object.keys(loadPricing().currencies)
+}
+
+// Locales of an Accept-Language header, most preferred first
+function parseAcceptLanguage(header) {
+  return (header || '').split(',')
+    .map(part => {
+      const [locale, ...params] = part.trim().split(';')
+      const q = params.find(param => param.trim().startsWith('q='))
+      return { locale, q: q ? parseFloat(q.trim().slice(2)) : 1 }
+    })
+    .filter(({ locale, q }) => locale && locale !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ locale }) => locale)
+}
+
+/**
+ * Currency for a customer: an explicitly requested supported currency, else the first
+ * of their locales (`locale`, then Accept-Language) that maps to one, else the default.
+ */
+export function resolveCurrency({ currency, locale, acceptLanguage } = {}) {
+  const { currencies, localeCurrencies, defaultCurrency } = loadPricing()
+
+  // Own keys only throughout, so values like 'constructor' don't match Object's properties
+  const requested = typeof currency === 'string' ? currency.toLowerCase() : null
+  if (requested && Object.hasOwn(currencies, requested)) return requested
+
+  for (const candidate of [locale, ...parseAcceptLanguage(acceptLanguage)].filter(value => typeof value === 'string' && value)) {
+    const normalized = candidate.toLowerCase().replace('_', '-')
+    const match = [normalized, normalized.split('-')[0]].find(key => Object.hasOwn(localeCurrencies, key))
+    if (match) return localeCurrencies[match]
+  }
+  return defaultCurrency
+}
+
+function tierImageCount(tier) {
+  return tier.images === 'all' ? listStyles().length : tier.images
+}
+
+export function listTiers(currency = loadPricing().defaultCurrency) {
+  return loadPricing().tiers.map(tier => ({
+    id: tier.id,
+    name: tier.name,
+    images: tierImageCount(tier),
+    price: tier.prices[currency]
+  }))
+}
+
+export function listAddOns(currency = loadPricing().defaultCurrency) {
+  return Object.entries(loadPricing().addOns).map(([id, addOn]) => ({
+    id,
+    name: addOn.name,
+    description: addOn.description,
+    price: addOn.prices[currency]
+  }))
+}
+
+/**
+ * Price a checkout of `imageCount` images plus `addOns` in `currency`.
+ * `tierId` picks a tier explicitly; otherwise the cheapest tier that covers the images is used.
+ * Returns { tier, currency, imagesAmount, addOns: [{ id, name, description, amount }], minimumAmount }
+ * or { error }.
+ */
+export function quoteCheckout({ imageCount, tierId = null, addOns = [], currency }) {
+  const { tiers, currencies } = loadPricing()
+
+  let tier
+  if (tierId) {
+    tier = tiers.find(candidate => candidate.id === tierId)
+    if (!tier) {
+      return { error: `Unknown tier: ${tierId}` }
+    }
+    if (imageCount > tierImageCount(tier)) {
+      return { error: `The ${tier.id} tier does not cover ${imageCount} images` }
+    }
+  } else {
+    tier = tiers
+      .filter(candidate => tierImageCount(candidate) >= imageCount)
+      .sort((a, b) => a.prices[currency] - b.prices[currency])[0]
+    if (!tier) {
+      return { error: `No tier includes ${imageCount} images` }
+    }
+  }
+
+  const unknown = addOns.filter(id => !Object.hasOwn(loadPricing().addOns, id))
+  if (unknown.length > 0) {
+    return { error: `Unknown add-ons: ${unknown.join(', ')}` }
+  }
+
+  return {
+    tier: { id: tier.id, name: tier.name, images: tierImageCount(tier) },
+    currency,
+    imagesAmount: tier.prices[currency],
+    addOns: addOns.map(id => {
+      const { name, description, prices } = loadPricing().addOns[id]
+      return { id, name, description, amount: prices[currency] }
+    }),
+    minimumAmount: currencies[currency].minimumAmount
+  }
+}
@@ -0,0 +1,123 @@
+import sharp from 'sharp'
+import { cropBoxFor } from './cropping.js'
+
+const PRINT_DPI = 300
+const MM_PER_INCH = 25.4
+
+/**
+ * Physical print sizes (portrait orientation), in inches.
+ */
+export const PRINT_SIZES = {
+  '5x7': { name: '5 x 7 in', widthIn: 5, heightIn: 7 },
+  '8x10': { name: '8 x 10 in', widthIn: 8, heightIn: 10 },
+  '11x14': { name: '11 x 14 in', widthIn: 11, heightIn: 14 },
+  a4: { name: 'A4 (210 x 297 mm)', widthIn: 210 / MM_PER_INCH, heightIn: 297 / MM_PER_INCH },
+  a3: { name: 'A3 (297 x 420 mm)', widthIn: 297 / MM_PER_INCH, heightIn: 420 / MM_PER_INCH }
+}
+
+export const DEFAULT_PRINT_SIZE = '8x10'
+
+function mmToPx(mm) {
+  return Math.round(mm / MM_PER_INCH * PRINT_DPI)
+}
+
+export function getPrintOptions() {
+  return {
+    bleedMm: parseFloat(process.env.PRINT_BLEED_MM ?? '3'),
+    // White margin around the bleed that holds the crop marks
+    slugMm: parseFloat(process.env.PRINT_SLUG_MM ?? '8')
+  }
+}
+
+// Crop marks in the slug, lined up with the trim edges and stopping short of the bleed
+function cropMarksSvg({ canvasWidth, canvasHeight, trimLeft, trimTop, trimWidth, trimHeight, slug, gap }) {
+  // 0.25pt hairline, about one pixel at 300 DPI
+  const stroke = Math.max(1, Math.round(0.25 / 72 * PRINT_DPI))
+  const markEnd = slug - gap
+  const xs = [trimLeft, trimLeft + trimWidth]
+  const ys = [trimTop, trimTop + trimHeight]
+
+  const lines = []
+  for (const x of xs) {
+    lines.push(`<line x1="${x}" y1="0" x2="${x}" y2="${markEnd}"/>`)
+    lines.push(`<line x1="${x}" y1="${canvasHeight - markEnd}" x2="${x}" y2="${canvasHeight}"/>`)
+  }
+  for (const y of ys) {
+    lines.push(`<line x1="0" y1="${y}" x2="${markEnd}" y2="${y}"/>`)
+    lines.push(`<line x1="${canvasWidth - markEnd}" y1="${y}" x2="${canvasWidth}" y2="${y}"/>`)
+  }
+
+  return Buffer.from(`<svg width="${canvasWidth}" height="${canvasHeight}" xmlns="http://www.w3.org/2000/svg">
+    <g stroke="black" stroke-width="${stroke}">${lines.join('')}</g>
+  </svg>`)
+}
+
+/**
+ * Build a print-ready TIFF from a master image:
+ * upscaled to the physical size at 300 DPI plus bleed, cropped around `focus`,
+ * optional crop marks in a white slug, converted to CMYK with an embedded ICC profile.
+ * Returns { buffer, contentType, extension, width, height }.
+ */
+export async function renderPrintFile(master, sizeId = DEFAULT_PRINT_SIZE, { focus, cropMarks = true } = {}) {
+  const size = Object.hasOwn(PRINT_SIZES, sizeId) ? PRINT_SIZES[sizeId] : null
+  if (!size) {
+    throw new Error(`Unknown print size: ${sizeId}`)
+  }
+
+  const { bleedMm, slugMm } = getPrintOptions()
+  const trimWidth = Math.round(size.widthIn * PRINT_DPI)
+  const trimHeight = Math.round(size.heightIn * PRINT_DPI)
+  const bleed = mmToPx(bleedMm)
+  const artWidth = trimWidth + bleed * 2
+  const artHeight = trimHeight + bleed * 2
+
+  const { width, height } = await sharp(master).metadata()
+  const cropBox = cropBoxFor(width, height, artWidth / artHeight, focus)
+
+  let artwork = await sharp(master)
+    .extract(cropBox)
+    .resize(artWidth, artHeight, { fit: 'cover', kernel: 'lanczos3' })
+    .removeAlpha()
+    .png()
+    .toBuffer()
+
+  let canvasWidth = artWidth
+  let canvasHeight = artHeight
+
+  if (cropMarks) {
+    const slug = mmToPx(slugMm)
+    canvasWidth = artWidth + slug * 2
+    canvasHeight = artHeight + slug * 2
+
+    const marks = cropMarksSvg({
+      canvasWidth,
+      canvasHeight,
+      trimLeft: slug + bleed,
+      trimTop: slug + bleed,
+      trimWidth,
+      trimHeight,
+      slug,
+      gap: mmToPx(1)
+    })
+
+    artwork = await sharp(artwork)
+      .extend({ top: slug, bottom: slug, left: slug, right: slug, background: '#ffffff' })
+      .composite([{ input: marks, left: 0, top: 0 }])
+      .png()
+      .toBuffer()
+  }
+
+  // The crop marks composite adds an alpha channel, which would end up as a fifth CMYK channel
+  const buffer = await sharp(artwork)
+    .flatten({ background: '#ffffff' })
+    .withIccProfile('cmyk')
+    .tiff({
+      compression: 'lzw',
+      xres: PRINT_DPI / MM_PER_INCH,
+      yres: PRINT_DPI / MM_PER_INCH,
+      resolutionUnit: 'inch'
+    })
+    .toBuffer()
+
+  return { buffer, contentType: 'image/tiff', extension: 'tif', width: canvasWidth, height: canvasHeight }
+}
@@ -0,0 +1,57 @@
+import { GoogleGenerativeAI } from '@google/generative-ai'
+
+const DEFAULT_MODEL = 'gemini-3-pro-image-preview'
+
+// Lazy initialize Gemini
+let genAI = null
+function getGenAI() {
+  if (genAI === null && process.env.GEMINI_API_KEY) {
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+  }
+  return genAI
+}
+
+/**
+ * Gemini image provider. The model can be changed with GEMINI_MODEL.
+ */
+export function createGeminiProvider() {
+  const modelName = process.env.GEMINI_MODEL || DEFAULT_MODEL
+
+  return {
+    name: 'gemini',
+    model: modelName,
+
+    async generate(imageBuffer, prompt, { style = 'portrait', signal } = {}) {
+      const ai = getGenAI()
+      if (!ai) throw new Error('Gemini API not configured')
+
+      const model = ai.getGenerativeModel({
+        model: modelName,
+        generationConfig: { responseModalities: ['Text', 'Image'] }
+      })
+
+      console.log(`Sending ${style} prompt to Gemini...`)
+      const images = [].concat(imageBuffer)
+      const result = await model.generateContent([
+        ...images.map(image => ({ inlineData: { mimeType: 'image/jpeg', data: image.toString('base64') } })),
+        prompt
+      ], { signal })
+
+      const response = await result.response
+      console.log(`Gemini response received for ${style}`)
+
+      // Log any text response from Gemini
+      for (const part of response.candidates?.[0]?.content?.parts || []) {
+        if (part.text) {
+          console.log('Gemini text response:', part.text)
+        }
+        if (part.inlineData) {
+          console.log('Gemini returned image, mimeType:', part.inlineData.mimeType)
+          return Buffer.from(part.inlineData.data, 'base64')
+        }
+      }
+
+      throw new Error('No image generated')
+    }
+  }
+}
@@ -0,0 +1,30 @@
+import { createGeminiProvider } from './gemini.js'
+import { createMockProvider } from './mock.js'
+
+/**
+ * Image generation providers. Each one implements:
+ *   generate(imageBuffer, prompt, { style, signal }) -> Promise<Buffer>
+ * where imageBuffer may also be an array of images (e.g. two selfies to combine),
+ * and throws when no image could be generated, so callers can retry or fall back.
+ *
+ * Selected with IMAGE_PROVIDER ('gemini' by default, 'mock' for offline use).
+ */
+const factories = {
+  gemini: createGeminiProvider,
+  mock: createMockProvider
+}
+
+let provider = null
+
+export function getProvider() {
+  const name = process.env.IMAGE_PROVIDER || 'gemini'
+
+  if (provider?.name !== name) {
+    const factory = factories[name]
+    if (!factory) {
+      throw new Error(`Unknown IMAGE_PROVIDER: ${name}`)
+    }
+    provider = factory()
+  }
+  return provider
+}
@@ -0,0 +1,62 @@
+import crypto from 'crypto'
+import sharp from 'sharp'
+
+// Roughly the size Gemini returns for portrait images
+const MOCK_WIDTH = 1152
+const MOCK_HEIGHT = 2048
+
+// Several input images (e.g. two selfies) are simply placed next to each other
+async function placeSideBySide(images) {
+  const width = Math.round(MOCK_WIDTH / images.length)
+  const columns = await Promise.all(images.map(image => sharp(image).resize(width, MOCK_HEIGHT, { fit: 'cover' }).toBuffer()))
+
+  return sharp({ create: { width: width * images.length, height: MOCK_HEIGHT, channels: 3, background: '#ffffff' } })
+    .composite(columns.map((input, i) => ({ input, left: i * width, top: 0 })))
+    .png()
+    .toBuffer()
+}
+
+/**
+ * Offline provider for local development and CI. It renders a stylized version of the
+ * input with sharp; the look is derived from a hash of the prompt, so the same input
+ * and prompt always produce the same image.
+ *
+ * MOCK_PROVIDER_FAIL_STYLES (comma-separated) makes those styles fail like an empty
+ * Gemini response, to exercise retries and the fallback filter.
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async generate(imageBuffer, prompt, { style = 'portrait' } = {}) {
+      const failStyles = (process.env.MOCK_PROVIDER_FAIL_STYLES || '').split(',').map(s => s.trim())
+      if (failStyles.includes(style)) {
+        throw new Error('No image generated')
+      }
+
+      const hash = crypto.createHash('sha256').update(prompt).digest()
+      const hue = Math.round(hash[0] / 255 * 360)
+      const saturation = 1 + hash[1] / 255
+      const smoothing = 3 + (hash[2] % 3) * 2
+
+      const label = Buffer.from(`<svg width="${MOCK_WIDTH}" height="120">
+        <rect width="100%" height="100%" fill="rgba(0,0,0,0.35)"/>
+        <text x="50%" y="78" font-size="56" font-family="sans-serif" fill="#fff" text-anchor="middle">MOCK · ${style}</text>
+      </svg>`)
+
+      const images = [].concat(imageBuffer)
+      const input = images.length === 1 ? images[0] : await placeSideBySide(images)
+
+      console.log(`Rendering mock ${style} image...`)
+      return sharp(input)
+        .resize(MOCK_WIDTH, MOCK_HEIGHT, { fit: 'cover', position: 'center' })
+        .median(smoothing)
+        .modulate({ hue, saturation })
+        .sharpen()
+        .composite([{ input: label, gravity: 'south' }])
+        .png()
+        .toBuffer()
+    }
+  }
+}
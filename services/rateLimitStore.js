@@ -0,0 +1,78 @@
+import Redis from 'ioredis'
+
+/**
+ * Counter stores for rate limits and spend caps.
+ *
+ * Drivers (RATE_LIMIT_STORE env):
+ * - 'memory': process-local, fine for a single dyno and local dev (default)
+ * - 'redis':  any Redis-compatible server at REDIS_URL (redis:// or rediss://), shared by every dyno
+ *
+ * Every store exposes:
+ *   increment(key, { by = 1, windowMs }) -> { count, resetAt }
+ * The counter is created at 0 with a `windowMs` expiry on first use, so it resets when the window ends.
+ */
+export function createMemoryStore() {
+  const counters = new Map()
+
+  // Drop expired counters now and then so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now()
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key)
+    }
+  }, 60 * 1000).unref()
+
+  return {
+    name: 'memory',
+
+    async increment(key, { by = 1, windowMs }) {
+      const now = Date.now()
+      let counter = counters.get(key)
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs }
+        counters.set(key, counter)
+      }
+      counter.count += by
+      return { count: counter.count, resetAt: counter.resetAt }
+    }
+  }
+}
+
+// INCRBY and set the expiry on first use in one round trip
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCRBY', KEYS[1], ARGV[1])
+if redis.call('PTTL', KEYS[1]) < 0 then redis.call('PEXPIRE', KEYS[1], ARGV[2]) end
+return {count, redis.call('PTTL', KEYS[1])}`
+
+export function createRedisStore(url) {
+  // Fail fast while Redis is unreachable, so callers can go ahead without it (see rateLimit)
+  const redis = new Redis(url, { maxRetriesPerRequest: 1, commandTimeout: 10000 })
+  redis.on('error', error => console.error('Redis error:', error.message))
+  redis.defineCommand('incrementWindow', { numberOfKeys: 1, lua: INCREMENT_SCRIPT })
+
+  return {
+    name: 'redis',
+
+    async increment(key, { by = 1, windowMs }) {
+      const [count, ttl] = await redis.incrementWindow(`ratelimit:${key}`, by, windowMs)
+      return { count, resetAt: Date.now() + Math.max(ttl, 0) }
+    }
+  }
+}
+
+let store = null
+
+export function getRateLimitStore() {
+  if (!store) {
+    const driver = process.env.RATE_LIMIT_STORE || 'memory'
+    if (driver === 'redis') {
+      if (!process.env.REDIS_URL) throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL')
+      store = createRedisStore(process.env.REDIS_URL)
+    } else if (driver === 'memory') {
+      store = createMemoryStore()
+    } else {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${driver}`)
+    }
+  }
+  return store
+}
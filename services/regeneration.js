@@ -0,0 +1,18 @@
+import { regenerateStyle } from './imageGenerator.js'
+import { trackGeneration } from './sessions.js'
+import { createJob, runJob } from './jobs.js'
+
+/**
+ * Generate one style of a session again in the background, as a job clients can follow
+ * like a pack generation (see services/jobs.js). Limits and the spend cap are up to the caller.
+ * `requestedBy` ('customer' or 'admin') is recorded with the run on the session.
+ */
+export function queueRegeneration(session, style, { requestedBy = 'customer' } = {}) {
+  const job = createJob({ styles: [style], sessionId: session.id, originalName: session.originalName })
+  const run = { jobId: job.id, kind: 'regeneration', styles: [style], requestedBy }
+
+  runJob(job, (onProgress) => trackGeneration(session.id, run, () => regenerateStyle(session.id, style, onProgress)))
+
+  console.log(`Queued regeneration of ${style} for session ${session.id} as job ${job.id} (${requestedBy})`)
+  return job
+}
@@ -0,0 +1,75 @@
+import sharp from 'sharp'
+import { cropBoxFor } from './cropping.js'
+
+/**
+ * Output presets and formats for portraits, all rendered from the stored master image.
+ * Print presets are sized for 300 DPI. Like every image we store, renders carry no
+ * camera, GPS or XMP metadata (sharp drops it unless asked to keep it).
+ */
+export const OUTPUT_PRESETS = {
+  phone: { name: 'Phone wallpaper (9:16)', width: 2160, height: 3840 },
+  desktop: { name: 'Desktop wallpaper (16:9)', width: 3840, height: 2160 },
+  instagram: { name: 'Instagram portrait (4:5)', width: 2160, height: 2700 },
+  square: { name: 'Square (1:1)', width: 2160, height: 2160 },
+  'print-8x10': { name: 'Print 8x10 in', width: 2400, height: 3000, dpi: 300 },
+  'print-a4': { name: 'Print A4', width: 2480, height: 3508, dpi: 300 }
+}
+
+export const OUTPUT_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', apply: image => image.jpeg({ quality: 95 }) },
+  png: { extension: 'png', contentType: 'image/png', apply: image => image.png({ compressionLevel: 9 }) },
+  webp: { extension: 'webp', contentType: 'image/webp', apply: image => image.webp({ quality: 92 }) },
+  avif: { extension: 'avif', contentType: 'image/avif', apply: image => image.avif({ quality: 70 }) }
+}
+
+// The preset and format every pack is delivered in by default
+export const DEFAULT_PRESET = 'phone'
+export const DEFAULT_FORMAT = 'jpeg'
+
+/**
+ * Parse a comma-separated list of preset or format ids ('all' selects every one).
+ * Returns { ids } or { error } naming the unknown ids.
+ */
+export function parseSelection(value, catalog, fallback) {
+  if (!value) return { ids: [fallback] }
+  if (value === 'all') return { ids: Object.keys(catalog) }
+
+  const ids = [...new Set(String(value).split(',').map(id => id.trim()).filter(Boolean))]
+  // Own keys only, so ids like 'constructor' are unknown rather than inherited from Object
+  const unknown = ids.filter(id => !Object.hasOwn(catalog, id))
+  if (unknown.length > 0) {
+    return { error: `Unknown options: ${unknown.join(', ')}` }
+  }
+  return { ids }
+}
+
+/**
+ * Render `master` at a preset size in a format, cropping around `focus` (see findFocus)
+ * so the couple stays in frame at every aspect ratio.
+ * Returns { buffer, contentType, extension, cropBox }.
+ */
+export async function renderVariant(master, presetId = DEFAULT_PRESET, formatId = DEFAULT_FORMAT, { focus } = {}) {
+  const preset = Object.hasOwn(OUTPUT_PRESETS, presetId) ? OUTPUT_PRESETS[presetId] : null
+  const format = Object.hasOwn(OUTPUT_FORMATS, formatId) ? OUTPUT_FORMATS[formatId] : null
+  if (!preset || !format) {
+    throw new Error(`Unknown output variant: ${presetId}/${formatId}`)
+  }
+
+  const { width, height } = await sharp(master).metadata()
+  const cropBox = cropBoxFor(width, height, preset.width / preset.height, focus)
+
+  let image = sharp(master)
+    .extract(cropBox)
+    .resize(preset.width, preset.height, { fit: 'cover', kernel: 'lanczos3' })
+
+  if (preset.dpi) {
+    // withMetadata() would also carry over any EXIF/XMP of the input, so the density is set
+    // on a copy of the bare pixels; the EXIF written then only holds resolution tags
+    const { data, info } = await image.raw().toBuffer({ resolveWithObject: true })
+    image = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .withMetadata({ density: preset.dpi })
+  }
+
+  const buffer = await format.apply(image).toBuffer()
+  return { buffer, contentType: format.contentType, extension: format.extension, cropBox }
+}
@@ -0,0 +1,337 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getSupabase } from './supabase.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data')
+
+/**
+ * Repositories are named collections of JSON records keyed by id.
+ *
+ * Drivers (DATA_STORE env):
+ * - 'supabase': one Postgres table per repository (see db/schema.sql)
+ * - 'file':     one JSON file per repository under DATA_DIR, for local dev
+ * - 'memory':   process-local, for tests and throwaway runs
+ *
+ * Defaults to 'supabase' when SUPABASE_URL/SUPABASE_KEY are set, 'file' otherwise.
+ *
+ * Every driver exposes the same async API:
+ *   get(id), put(id, record), update(id, patch), delete(id),
+ *   find(filter, { limit, createdBefore, startAfter, contains }), insert(id, record),
+ *   increment(id, field, by, { min, max }), append(id, field, value, { maxLength })
+ * find() matches top-level fields by equality and returns newest records first, ids descending
+ * among records created at the same time; createdBefore (ISO timestamp) only returns records
+ * created earlier, and startAfter ({ createdAt, id } of a record) only those listed after it.
+ * All go by the record's createdAt, which put() keeps from the first write.
+ * contains ({ field: value }) only returns records whose array `field` includes `value`.
+ * Supabase returns at most 1000 rows per query, so anything that can grow past that pages
+ * with limit and startAfter set to the last record of the previous page.
+ *
+ * update() merges `patch` into the stored record in one write, so it never overwrites fields the
+ * patch doesn't name; concurrent updates of the same field are last-write-wins.
+ * Anything that must not race uses the atomic ones:
+ * - insert() only creates a record that doesn't exist yet, and resolves to null when it does
+ * - increment() adds `by` to a numeric top-level field (missing counts as 0) unless the result
+ *   would fall outside min..max, and resolves to the updated record, or null when the record is
+ *   missing or the bounds stopped it
+ * - append() adds `value` to the end of an array top-level field (missing counts as empty) unless
+ *   it already holds maxLength items, and resolves like increment()
+ */
+export function getDriverName() {
+  if (process.env.DATA_STORE) return process.env.DATA_STORE
+  return process.env.SUPABASE_URL && process.env.SUPABASE_KEY ? 'supabase' : 'file'
+}
+
+function stamp(existing, record) {
+  const now = new Date().toISOString()
+  return {
+    ...record,
+    createdAt: record.createdAt || existing?.createdAt || now,
+    updatedAt: now
+  }
+}
+
+// [id, record] entries, newest first and then by id like the Supabase driver's order
+function byNewest([aId, a], [bId, b]) {
+  return (b.createdAt || '').localeCompare(a.createdAt || '') || (aId < bId ? 1 : aId > bId ? -1 : 0)
+}
+
+function isListedAfter(id, record, startAfter) {
+  const createdAt = record.createdAt || ''
+  return createdAt < startAfter.createdAt || (createdAt === startAfter.createdAt && id < startAfter.id)
+}
+
+function matches(record, filter, contains = {}) {
+  return Object.entries(filter).every(([key, value]) => record[key] === value) &&
+    Object.entries(contains).every(([key, value]) => Array.isArray(record[key]) && record[key].includes(value))
+}
+
+function withinBounds(value, { min, max }) {
+  return (min === undefined || min === null || value >= min) && (max === undefined || max === null || value <= max)
+}
+
+class SupabaseRepository {
+  constructor(table) {
+    this.table = table
+  }
+
+  client() {
+    const sb = getSupabase()
+    if (!sb) throw new Error('Supabase not configured')
+    return sb
+  }
+
+  async get(id) {
+    const { data, error } = await this.client()
+      .from(this.table)
+      .select('data')
+      .eq('id', id)
+      .maybeSingle()
+
+    if (error) throw error
+    return data?.data || null
+  }
+
+  async put(id, record) {
+    const existing = record.createdAt ? null : await this.get(id)
+    const data = stamp(existing, record)
+
+    // created_at mirrors the record's createdAt, which find() filters and sorts on
+    const { error } = await this.client()
+      .from(this.table)
+      .upsert({ id, data, created_at: data.createdAt, updated_at: data.updatedAt })
+
+    if (error) throw error
+    return data
+  }
+
+  async insert(id, record) {
+    const data = stamp(null, record)
+    const { error } = await this.client()
+      .from(this.table)
+      .insert({ id, data, created_at: data.createdAt, updated_at: data.updatedAt })
+
+    // unique_violation: the id is taken
+    if (error?.code === '23505') return null
+    if (error) throw error
+    return data
+  }
+
+  // A single UPDATE in repository_increment (see db/schema.sql), so the row lock makes it atomic
+  async increment(id, field, by = 1, { min = null, max = null } = {}) {
+    const { data, error } = await this.client().rpc('repository_increment', {
+      p_table: this.table, p_id: id, p_field: field, p_by: by, p_min: min, p_max: max
+    })
+    if (error) throw error
+    return data || null
+  }
+
+  // Like increment(), in repository_append
+  async append(id, field, value, { maxLength = null } = {}) {
+    const { data, error } = await this.client().rpc('repository_append', {
+      p_table: this.table, p_id: id, p_field: field, p_value: value, p_max_length: maxLength
+    })
+    if (error) throw error
+    return data || null
+  }
+
+  // Merged in repository_update rather than read and written back, which could undo a
+  // concurrent increment() or append() of a field the patch doesn't touch
+  async update(id, patch) {
+    const { data, error } = await this.client().rpc('repository_update', {
+      p_table: this.table, p_id: id, p_patch: patch
+    })
+    if (error) throw error
+    return data || null
+  }
+
+  async delete(id) {
+    const { error } = await this.client().from(this.table).delete().eq('id', id)
+    if (error) throw error
+  }
+
+  async find(filter = {}, { limit, createdBefore, startAfter, contains = {} } = {}) {
+    let query = this.client().from(this.table).select('data')
+
+    for (const [key, value] of Object.entries(filter)) {
+      query = query.eq(`data->>${key}`, String(value))
+    }
+    // jsonb containment (@>), which a GIN index on the field can serve
+    for (const [key, value] of Object.entries(contains)) {
+      query = query.filter(`data->${key}`, 'cs', JSON.stringify([value]))
+    }
+    if (createdBefore) {
+      query = query.lt('created_at', createdBefore)
+    }
+    if (startAfter) {
+      const { createdAt, id } = startAfter
+      query = query.or(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt."${id}")`)
+    }
+
+    query = query.order('created_at', { ascending: false }).order('id', { ascending: false })
+    if (limit) query = query.limit(limit)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data.map(row => row.data)
+  }
+}
+
+class LocalRepository {
+  // filePath is null for the in-memory driver
+  constructor(filePath) {
+    this.filePath = filePath
+    this.records = null
+    this.loading = null
+    this.writing = Promise.resolve()
+  }
+
+  // Loads once; concurrent callers share the same read
+  load() {
+    if (!this.loading) {
+      this.loading = this.readRecords().then(records => {
+        this.records = records
+        return records
+      })
+    }
+    return this.loading
+  }
+
+  async readRecords() {
+    if (!this.filePath) return new Map()
+
+    try {
+      const contents = JSON.parse(await fs.readFile(this.filePath, 'utf-8'))
+      return new Map(Object.entries(contents))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+      return new Map()
+    }
+  }
+
+  // Writes are chained so concurrent updates never interleave on disk
+  persist() {
+    if (!this.filePath) return Promise.resolve()
+
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const tmpPath = `${this.filePath}.tmp`
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+      await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.records), null, 2))
+      await fs.rename(tmpPath, this.filePath)
+    })
+    return this.writing
+  }
+
+  async get(id) {
+    const records = await this.load()
+    return records.get(id) || null
+  }
+
+  async put(id, record) {
+    const records = await this.load()
+    const data = stamp(records.get(id), record)
+    records.set(id, data)
+    await this.persist()
+    return data
+  }
+
+  // Each change below happens synchronously after load(), so within this process it can't
+  // interleave with another one
+
+  async update(id, patch) {
+    const records = await this.load()
+    const existing = records.get(id)
+    if (!existing) return null
+    const data = stamp(existing, { ...existing, ...patch })
+    records.set(id, data)
+    await this.persist()
+    return data
+  }
+
+  async insert(id, record) {
+    const records = await this.load()
+    if (records.has(id)) return null
+    const data = stamp(null, record)
+    records.set(id, data)
+    await this.persist()
+    return data
+  }
+
+  async increment(id, field, by = 1, bounds = {}) {
+    const records = await this.load()
+    const existing = records.get(id)
+    if (!existing) return null
+
+    const value = (existing[field] || 0) + by
+    if (!withinBounds(value, bounds)) return null
+
+    const data = stamp(existing, { ...existing, [field]: value })
+    records.set(id, data)
+    await this.persist()
+    return data
+  }
+
+  async append(id, field, value, { maxLength = null } = {}) {
+    const records = await this.load()
+    const existing = records.get(id)
+    if (!existing) return null
+
+    const values = existing[field] || []
+    if (maxLength !== null && values.length >= maxLength) return null
+
+    const data = stamp(existing, { ...existing, [field]: [...values, value] })
+    records.set(id, data)
+    await this.persist()
+    return data
+  }
+
+  async delete(id) {
+    const records = await this.load()
+    records.delete(id)
+    await this.persist()
+  }
+
+  async find(filter = {}, { limit, createdBefore, startAfter, contains } = {}) {
+    const records = await this.load()
+    const found = [...records.entries()]
+      .filter(([id, record]) => matches(record, filter, contains) &&
+        (!createdBefore || record.createdAt < createdBefore) &&
+        (!startAfter || isListedAfter(id, record, startAfter)))
+      .sort(byNewest)
+      .map(([, record]) => record)
+    return limit ? found.slice(0, limit) : found
+  }
+}
+
+const repositories = new Map()
+
+/**
+ * Get the repository for `name`, e.g. getRepository('image_metadata').
+ * The name is the Postgres table for the Supabase driver and the file name for the file driver.
+ */
+export function getRepository(name) {
+  if (repositories.has(name)) return repositories.get(name)
+
+  const driver = getDriverName()
+  let repository
+
+  switch (driver) {
+    case 'supabase':
+      repository = new SupabaseRepository(name)
+      break
+    case 'file':
+      repository = new LocalRepository(path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, `${name}.json`))
+      break
+    case 'memory':
+      repository = new LocalRepository(null)
+      break
+    default:
+      throw new Error(`Unknown DATA_STORE driver: ${driver}`)
+  }
+
+  repositories.set(name, repository)
+  return repository
+}
@@ -0,0 +1,165 @@
+import { deleteFolder } from './storage.js'
+import { findImagesBySession, deleteImageMetadata } from './imageGenerator.js'
+import { getSession, deleteSession, findSessionsCreatedBefore, findSessionsByAccount, isValidSessionId } from './sessions.js'
+import {
+  findOrdersForSession, findOrdersByEmail, findOrdersForAccount, getOrderSessionIds, markOrderImagesDeleted, anonymiseOrder
+} from './orders.js'
+import { normalizeEmail, findAccountByEmail, deleteAccountData } from './accounts.js'
+import { findGiftsForRecipient, deleteGift } from './gifts.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const PURGE_PAGE_SIZE = 200
+
+/**
+ * How long customer photos and portraits are kept:
+ * - unpaid sessions: UNPAID_RETENTION_DAYS (default 7) after they were created
+ * - paid sessions:   PAID_RETENTION_DAYS (default 90) after the last payment, or after the
+ *                    scheduled delivery of a gift when that is later
+ * The purge runs every RETENTION_INTERVAL_MINUTES (default 60).
+ */
+export function getRetentionPolicy() {
+  return {
+    unpaidDays: parseFloat(process.env.UNPAID_RETENTION_DAYS ?? '7'),
+    paidDays: parseFloat(process.env.PAID_RETENTION_DAYS ?? '90'),
+    intervalMs: (parseFloat(process.env.RETENTION_INTERVAL_MINUTES ?? '60')) * 60 * 1000
+  }
+}
+
+/**
+ * Erase everything stored for a session: the upload, masters, originals and previews
+ * under valentines/{sessionId}/, its image metadata and the session record.
+ * Orders are kept for bookkeeping but marked so downloads report the portraits as deleted.
+ * Returns a summary, or null when nothing was stored for the session.
+ */
+export async function deleteSessionData(sessionId, { reason = 'request' } = {}) {
+  // The id becomes a storage path, so anything but a session id could reach other folders
+  if (!isValidSessionId(sessionId)) {
+    throw new Error(`Invalid session id: ${JSON.stringify(sessionId)}`)
+  }
+
+  const [session, images, orders] = await Promise.all([
+    getSession(sessionId),
+    findImagesBySession(sessionId),
+    findOrdersForSession(sessionId)
+  ])
+
+  const folder = `valentines/${sessionId}`
+  const objectsDeleted = await deleteFolder(folder, { private: true }) + await deleteFolder(folder)
+
+  if (!session && images.length === 0 && objectsDeleted === 0) {
+    return null
+  }
+
+  await Promise.all(images.map(image => deleteImageMetadata(image.imageId)))
+  await Promise.all(orders.map(order => markOrderImagesDeleted(order.id)))
+  if (session) {
+    await deleteSession(sessionId)
+  }
+
+  console.log(`Deleted session ${sessionId} (${reason}): ${objectsDeleted} files, ${images.length} images, ${orders.length} orders marked`)
+  return { sessionId, objectsDeleted, imagesDeleted: images.length, ordersMarked: orders.length }
+}
+
+/**
+ * Erase a customer, for a data deletion request: every session in their orders or generated
+ * while signed in, gifts they bought or received, and their account with its access tokens and
+ * logins. Their orders are kept for bookkeeping, without their details (see anonymiseOrder).
+ * Returns a summary of what was removed.
+ */
+export async function eraseCustomer(email) {
+  const normalized = normalizeEmail(email)
+  const account = await findAccountByEmail(normalized)
+  const orders = account ? await findOrdersForAccount(account) : await findOrdersByEmail(normalized)
+  const receivedGifts = await findGiftsForRecipient(normalized)
+
+  const sessionIds = new Set(orders.flatMap(getOrderSessionIds).filter(isValidSessionId))
+  for (const session of account ? await findSessionsByAccount(account.id) : []) {
+    sessionIds.add(session.id)
+  }
+  const sessions = []
+  for (const sessionId of sessionIds) {
+    const result = await deleteSessionData(sessionId, { reason: 'customer erasure' })
+    if (result) sessions.push(result)
+  }
+
+  const giftIds = new Set()
+  for (const order of orders) {
+    if (order.giftToken) {
+      await deleteGift(order.giftToken)
+      giftIds.add(order.giftToken)
+    }
+    await anonymiseOrder(order.id)
+  }
+  for (const gift of receivedGifts) {
+    await deleteGift(gift.id)
+    giftIds.add(gift.id)
+    await anonymiseOrder(gift.orderId, { giftOnly: true })
+  }
+
+  const accountData = await deleteAccountData(normalized)
+
+  console.log(`Erased customer ${normalized}: ${sessions.length} sessions, ${orders.length} orders anonymised, ${giftIds.size} gifts, account ${accountData.accountDeleted ? 'deleted' : 'not found'}`)
+  return {
+    sessionsDeleted: sessions.length,
+    sessions,
+    ordersAnonymised: orders.length,
+    giftsDeleted: giftIds.size,
+    ...accountData
+  }
+}
+
+// Latest payment time of a session, or null when it was never paid for
+async function paidTime(sessionId) {
+  let latest = null
+  for (const order of await findOrdersForSession(sessionId)) {
+    if (order.status !== 'paid') continue
+    // A gift scheduled for later keeps its portraits for the full period after delivery
+    const time = [order.paidAt || order.createdAt, order.gift?.deliverAt].filter(Boolean).sort().pop()
+    if (!latest || latest < time) latest = time
+  }
+  return latest
+}
+
+/**
+ * Delete sessions that are past their retention period (see getRetentionPolicy).
+ * Sessions are checked a page at a time, newest first.
+ * Returns the ids of the deleted sessions.
+ */
+export async function purgeExpiredSessions(now = Date.now()) {
+  const { unpaidDays, paidDays } = getRetentionPolicy()
+  const unpaidCutoff = new Date(now - unpaidDays * DAY_MS).toISOString()
+  const paidCutoff = new Date(now - paidDays * DAY_MS).toISOString()
+
+  // A session can't have been paid before it was created, so both kinds are older than the later cutoff
+  const createdBefore = unpaidCutoff > paidCutoff ? unpaidCutoff : paidCutoff
+  let cursor = null
+  let checked = 0
+  const deleted = []
+
+  while (true) {
+    const page = await findSessionsCreatedBefore(createdBefore, { limit: PURGE_PAGE_SIZE, startAfter: cursor })
+    if (page.length === 0) break
+    checked += page.length
+
+    for (const session of page) {
+      const paidAt = await paidTime(session.id)
+      const expired = paidAt ? paidAt < paidCutoff : session.createdAt < unpaidCutoff
+      if (!expired) continue
+
+      try {
+        await deleteSessionData(session.id, { reason: paidAt ? 'paid retention' : 'unpaid retention' })
+        deleted.push(session.id)
+      } catch (error) {
+        console.error(`Failed to purge session ${session.id}:`, error.message)
+      }
+    }
+
+    if (page.length < PURGE_PAGE_SIZE) break
+    // Pages go by createdAt, newest first, with the id telling apart sessions created together
+    const last = page[page.length - 1]
+    cursor = { createdAt: last.createdAt, id: last.id }
+  }
+
+  console.log(`Retention purge deleted ${deleted.length} of ${checked} candidate sessions`)
+  return deleted
+}
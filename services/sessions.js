@@ -0,0 +1,129 @@
+import { getRepository } from './repository.js'
+import { createSignedToken, verifySignedToken } from './signing.js'
+
+// Generation sessions (one per uploaded photo) live in the 'sessions' repository
+const sessions = () => getRepository('sessions')
+
+// Session ids are v4 UUIDs from POST /api/generate, and name the session's storage folder
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+
+// Outlives the longest a session's files are kept, a paid gift scheduled months ahead
+const SESSION_TOKEN_TTL_SECONDS = 400 * 24 * 60 * 60
+
+export function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id)
+}
+
+// Proof of owning a session, handed to whoever uploaded the photo
+export function createSessionToken(sessionId) {
+  return createSignedToken({ purpose: 'session', sessionId }, SESSION_TOKEN_TTL_SECONDS)
+}
+
+export function verifySessionToken(token, sessionId) {
+  const payload = verifySignedToken(token)
+  return payload?.purpose === 'session' && payload.sessionId === sessionId
+}
+
+// The REGENERATION_LIMIT default (or what support set), plus credits from vouchers
+export function getRegenerationLimit(session) {
+  return (session.regenerationLimit ?? parseInt(process.env.REGENERATION_LIMIT ?? '3', 10)) + (session.regenerationCredits || 0)
+}
+
+// photoCount is 2 when the couple was composed from two selfies; `composition` then
+// records how ('ai' or 'side-by-side') once the source is ready.
+// accountId is set when a signed-in customer generated the session.
+export async function createSession({ id, styles, originalName = null, photoCount = 1, accountId = null }) {
+  return sessions().put(id, {
+    id,
+    styles,
+    originalName,
+    photoCount,
+    accountId,
+    composition: null,
+    regenerationsUsed: 0,
+    // null means the REGENERATION_LIMIT default; support can raise it per session
+    regenerationLimit: null,
+    regenerationCredits: 0,
+    generations: []
+  })
+}
+
+/**
+ * Count one regeneration against the session's limit, atomically so parallel requests can't
+ * get past it. Resolves to the updated session, or null when the limit is reached.
+ */
+export async function useRegeneration(session) {
+  return sessions().increment(session.id, 'regenerationsUsed', 1, { max: getRegenerationLimit(session) })
+}
+
+// Regenerations a voucher added, counted atomically like the ones used
+export async function addRegenerationCredits(id, credits) {
+  return sessions().increment(id, 'regenerationCredits', credits)
+}
+
+// Give back a regeneration that was counted but never ran
+export async function releaseRegeneration(id) {
+  return sessions().increment(id, 'regenerationsUsed', -1, { min: 0 })
+}
+
+export async function getSession(id) {
+  return sessions().get(id)
+}
+
+export async function updateSession(id, patch) {
+  return sessions().update(id, patch)
+}
+
+export async function findSessionsByAccount(accountId) {
+  return sessions().find({ accountId })
+}
+
+export async function findSessionsCreatedBefore(createdBefore, { limit, startAfter } = {}) {
+  return sessions().find({}, { createdBefore, limit, startAfter })
+}
+
+export async function deleteSession(id) {
+  return sessions().delete(id)
+}
+
+export async function listRecentSessions({ limit } = {}) {
+  return sessions().find({}, { limit })
+}
+
+/**
+ * Run `task` (a pack generation or a regeneration, resolving to { images }) and record how it
+ * went in session.generations, so failures and slow providers can be looked into later.
+ * `run` describes it ({ jobId, kind: 'pack' | 'regeneration', styles, requestedBy }) and is
+ * stored with status, startedAt, finishedAt, durationMs, fallbackStyles and error.
+ * Resolves or rejects like the task.
+ */
+export async function trackGeneration(sessionId, run, task) {
+  const started = Date.now()
+  // Appended, so runs finishing together don't drop each other or the session's counters
+  const record = async (outcome) => {
+    const finished = Date.now()
+    await sessions().append(sessionId, 'generations', {
+      ...run,
+      startedAt: new Date(started).toISOString(),
+      finishedAt: new Date(finished).toISOString(),
+      durationMs: finished - started,
+      fallbackStyles: [],
+      error: null,
+      ...outcome
+    })
+  }
+
+  let result
+  try {
+    result = await task()
+  } catch (error) {
+    await record({ status: 'failed', error: error.message }).catch(recordError => {
+      console.error(`Failed to record generation of session ${sessionId}:`, recordError.message)
+    })
+    throw error
+  }
+
+  const fallbackStyles = result.images.filter(image => image.generationMode === 'fallback').map(image => image.style)
+  await record({ status: 'complete', fallbackStyles })
+  return result
+}
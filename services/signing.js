@@ -0,0 +1,49 @@
+import crypto from 'crypto'
+
+// Without SIGNING_SECRET a random per-process secret is used, so links stop working after a restart
+let fallbackSecret = null
+
+function getSecret() {
+  if (process.env.SIGNING_SECRET) return process.env.SIGNING_SECRET
+
+  if (fallbackSecret === null) {
+    console.warn('SIGNING_SECRET not set - signed links will not survive a restart')
+    fallbackSecret = crypto.randomBytes(32).toString('hex')
+  }
+  return fallbackSecret
+}
+
+function hmac(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url')
+}
+
+/**
+ * Create a tamper-proof token carrying `payload` that expires after `ttlSeconds`.
+ */
+export function createSignedToken(payload, ttlSeconds) {
+  const body = Buffer.from(JSON.stringify({
+    ...payload,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString('base64url')
+
+  return `${body}.${hmac(body)}`
+}
+
+/**
+ * Verify a token from createSignedToken. Returns its payload, or null when the
+ * token is malformed, tampered with or expired.
+ */
+export function verifySignedToken(token) {
+  const [body, signature] = String(token || '').split('.')
+  if (!body || !signature) return null
+
+  const expected = Buffer.from(hmac(body))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null
+  }
+
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'))
+  if (payload.exp < Math.floor(Date.now() / 1000)) return null
+  return payload
+}
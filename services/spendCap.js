@@ -0,0 +1,52 @@
+import { getRateLimitStore } from './rateLimitStore.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Daily cap on what AI generations may cost, shared by every request (and every dyno
+ * with the Redis store). Each generation is counted at GENERATION_COST_CENTS (default 14,
+ * about one Gemini image) against DAILY_SPEND_CAP_CENTS (default 5000, $50) per UTC day.
+ * Requests reserve one generation per style up front; each retry of a failed call reserves
+ * another (see generateWithRetries). A cap of 0 disables it.
+ */
+export function getSpendCapConfig() {
+  return {
+    costCents: parseInt(process.env.GENERATION_COST_CENTS ?? '14', 10),
+    capCents: parseInt(process.env.DAILY_SPEND_CAP_CENTS ?? '5000', 10)
+  }
+}
+
+function todayKey() {
+  return `spend:${new Date().toISOString().slice(0, 10)}`
+}
+
+/**
+ * Reserve the budget for `generations` image generations today.
+ * Resolves to { allowed, spentCents, capCents }; nothing is reserved when it is not allowed.
+ * Never rejects: when the store is down generation goes ahead, as with the rate limits.
+ */
+export async function reserveGenerations(generations) {
+  const { costCents, capCents } = getSpendCapConfig()
+  if (!capCents) {
+    return { allowed: true, spentCents: null, capCents: null }
+  }
+
+  const amount = generations * costCents
+  const store = getRateLimitStore()
+  let count
+  try {
+    ({ count } = await store.increment(todayKey(), { by: amount, windowMs: DAY_MS }))
+  } catch (error) {
+    console.error('Spend cap store failed, allowing the generation:', error.message)
+    return { allowed: true, spentCents: null, capCents }
+  }
+
+  if (count > capCents) {
+    await store.increment(todayKey(), { by: -amount, windowMs: DAY_MS }).catch(error => {
+      console.error('Failed to give back a refused spend cap reservation:', error.message)
+    })
+    console.warn(`Daily generation spend cap reached (${count - amount}/${capCents} cents)`)
+    return { allowed: false, spentCents: count - amount, capCents }
+  }
+  return { allowed: true, spentCents: count, capCents }
+}
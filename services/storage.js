@@ -0,0 +1,138 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getSupabase } from './supabase.js'
+import { createSignedToken } from './signing.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const BUCKET_NAME = 'images'
+
+// Served by index.js at /uploads
+const LOCAL_UPLOADS_DIR = path.join(__dirname, '..', 'uploads')
+// Never served directly, only through signed /api/files links
+const LOCAL_PRIVATE_DIR = path.join(__dirname, '..', 'private-uploads')
+
+/**
+ * Object storage for generated images.
+ * STORAGE_DRIVER: 'supabase' or 'local' (folders next to the server, for offline development).
+ * Defaults to 'supabase' when it is configured, 'local' otherwise.
+ *
+ * Objects are either public (previews, in the `images` bucket / uploads/) or private
+ * (full-resolution originals and customer uploads, in SUPABASE_PRIVATE_BUCKET / private-uploads/),
+ * which are only reachable through signed, expiring URLs.
+ */
+export function getStorageDriverName() {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER
+  return getSupabase() ? 'supabase' : 'local'
+}
+
+function getBucket(isPrivate) {
+  return isPrivate ? (process.env.SUPABASE_PRIVATE_BUCKET || 'originals') : BUCKET_NAME
+}
+
+function localBaseUrl() {
+  return process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`
+}
+
+export function localPath(objectPath, isPrivate = false) {
+  const root = isPrivate ? LOCAL_PRIVATE_DIR : LOCAL_UPLOADS_DIR
+  const resolved = path.resolve(root, objectPath)
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage path: ${objectPath}`)
+  }
+  return resolved
+}
+
+function getClient() {
+  const sb = getSupabase()
+  if (!sb) throw new Error('Supabase not configured')
+  return sb
+}
+
+/**
+ * Store `buffer` at `objectPath` (e.g. valentines/{sessionId}/{style}.jpg), overwriting
+ * anything already there. Returns the public URL of the object, or null for private objects.
+ */
+export async function putObject(objectPath, buffer, contentType = 'image/jpeg', { private: isPrivate = false } = {}) {
+  if (getStorageDriverName() === 'local') {
+    const filePath = localPath(objectPath, isPrivate)
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(filePath, buffer)
+  } else {
+    const { error } = await getClient().storage
+      .from(getBucket(isPrivate))
+      .upload(objectPath, buffer, { contentType, upsert: true })
+
+    if (error) throw error
+  }
+
+  return isPrivate ? null : getPublicUrl(objectPath)
+}
+
+export function getPublicUrl(objectPath) {
+  if (getStorageDriverName() === 'local') {
+    return `${localBaseUrl()}/uploads/${objectPath}`
+  }
+
+  const { data } = getSupabase().storage.from(BUCKET_NAME).getPublicUrl(objectPath)
+  return data.publicUrl
+}
+
+/**
+ * Signed URL for a private object, valid for `expiresIn` seconds
+ * (SIGNED_URL_TTL_SECONDS, one hour by default).
+ */
+export async function createSignedUrl(objectPath, expiresIn = getSignedUrlTtl(), { download = null } = {}) {
+  if (getStorageDriverName() === 'local') {
+    const token = createSignedToken({ path: objectPath, download }, expiresIn)
+    return `${localBaseUrl()}/api/files?token=${token}`
+  }
+
+  const { data, error } = await getClient().storage
+    .from(getBucket(true))
+    .createSignedUrl(objectPath, expiresIn, download ? { download } : undefined)
+
+  if (error) throw error
+  return data.signedUrl
+}
+
+export function getSignedUrlTtl() {
+  return parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 3600
+}
+
+/**
+ * Delete every object under `prefix` (e.g. valentines/{sessionId}), which must be a folder
+ * of files. Returns the number of objects deleted.
+ */
+export async function deleteFolder(prefix, { private: isPrivate = false } = {}) {
+  if (getStorageDriverName() === 'local') {
+    const dir = localPath(prefix, isPrivate)
+    const entries = await fs.readdir(dir).catch(error => {
+      if (error.code === 'ENOENT') return []
+      throw error
+    })
+    await fs.rm(dir, { recursive: true, force: true })
+    return entries.length
+  }
+
+  const bucket = getClient().storage.from(getBucket(isPrivate))
+  const { data, error } = await bucket.list(prefix, { limit: 1000 })
+  if (error) throw error
+  if (data.length === 0) return 0
+
+  const { error: removeError } = await bucket.remove(data.map(file => `${prefix}/${file.name}`))
+  if (removeError) throw removeError
+  return data.length
+}
+
+export async function getObject(objectPath, { private: isPrivate = false } = {}) {
+  if (getStorageDriverName() === 'local') {
+    return fs.readFile(localPath(objectPath, isPrivate))
+  }
+
+  const { data, error } = await getClient().storage.from(getBucket(isPrivate)).download(objectPath)
+  if (error) throw error
+  return Buffer.from(await data.arrayBuffer())
+}
@@ -0,0 +1,101 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'styles.json')
+
+/**
+ * Style catalog, loaded from config/styles.json (or STYLES_CONFIG) on first use.
+ *
+ * Each style has:
+ * - id:           used in image ids and storage paths (valentines/{sessionId}/{id}.jpg)
+ * - name:         human readable name shown to customers
+ * - displayName:  file name part in downloaded ZIPs (Valentine-Portrait-{displayName}.jpg)
+ * - prompt:       Gemini prompt
+ * - fallbackTint: sharp tint used when Gemini fails
+ * - enabled:      disabled styles stay resolvable for old images but can't be picked
+ * - aliases:      legacy ids of images generated before the catalog existed
+ */
+let catalog = null
+
+function loadCatalog() {
+  if (catalog) return catalog
+
+  const catalogPath = process.env.STYLES_CONFIG || DEFAULT_CATALOG_PATH
+  const parsed = JSON.parse(fs.readFileSync(catalogPath, 'utf-8'))
+
+  const styles = new Map()
+  for (const style of parsed.styles) {
+    if (!style.id || !style.prompt) {
+      throw new Error(`Invalid style in ${catalogPath}: every style needs an id and a prompt`)
+    }
+    styles.set(style.id, { enabled: true, aliases: [], ...style })
+  }
+
+  const aliases = new Map()
+  for (const style of styles.values()) {
+    for (const alias of style.aliases) aliases.set(alias, style.id)
+  }
+
+  const defaultPack = parsed.defaultPack.filter(id => styles.get(id)?.enabled)
+  if (defaultPack.length === 0) {
+    throw new Error(`Invalid ${catalogPath}: defaultPack has no enabled styles`)
+  }
+
+  catalog = {
+    styles,
+    aliases,
+    defaultPack,
+    maxPerPack: parsed.maxPerPack || defaultPack.length,
+    legacyDisplayNames: parsed.legacyDisplayNames || {}
+  }
+  return catalog
+}
+
+export function getStyle(id) {
+  const { styles, aliases } = loadCatalog()
+  return styles.get(id) || styles.get(aliases.get(id)) || null
+}
+
+export function listStyles({ includeDisabled = false } = {}) {
+  return [...loadCatalog().styles.values()].filter(style => includeDisabled || style.enabled)
+}
+
+export function getDefaultStyles() {
+  return [...loadCatalog().defaultPack]
+}
+
+export function getMaxStylesPerPack() {
+  return loadCatalog().maxPerPack
+}
+
+// Name used for a style inside downloaded ZIPs
+export function getDisplayName(id) {
+  return getStyle(id)?.displayName || loadCatalog().legacyDisplayNames[id] || null
+}
+
+/**
+ * Validate the styles a customer picked for a pack.
+ * An empty selection means the default pack. Returns { styles } or { error }.
+ */
+export function resolveStyleSelection(requested) {
+  if (!requested || requested.length === 0) {
+    return { styles: getDefaultStyles() }
+  }
+
+  const styles = [...new Set(requested)]
+  const unavailable = styles.filter(id => !loadCatalog().styles.get(id)?.enabled)
+  if (unavailable.length > 0) {
+    return { error: `Unknown or unavailable styles: ${unavailable.join(', ')}` }
+  }
+
+  const max = getMaxStylesPerPack()
+  if (styles.length > max) {
+    return { error: `A pack can contain at most ${max} styles` }
+  }
+
+  return { styles }
+}
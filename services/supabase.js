@@ -0,0 +1,10 @@
+import { createClient } from '@supabase/supabase-js'
+
+// Lazy initialize Supabase
+let supabase = null
+export function getSupabase() {
+  if (supabase === null && process.env.SUPABASE_URL && process.env.SUPABASE_KEY) {
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY)
+  }
+  return supabase
+}
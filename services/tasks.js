@@ -0,0 +1,54 @@
+/**
+ * In-process periodic tasks (data retention, scheduled deliveries, ...).
+ * Each task runs once shortly after startTasks() and then every `intervalMs`;
+ * a run is skipped while the previous one is still going.
+ */
+const tasks = new Map()
+
+// Delay before the first run, so the server is listening before tasks start working
+const FIRST_RUN_DELAY_MS = 10 * 1000
+
+export function registerTask(name, intervalMs, run) {
+  tasks.set(name, { name, intervalMs, run, timer: null, running: false, lastRunAt: null, lastError: null })
+}
+
+async function runTask(task) {
+  if (task.running) return
+  task.running = true
+  try {
+    await task.run()
+    task.lastError = null
+  } catch (error) {
+    console.error(`Task ${task.name} failed:`, error)
+    task.lastError = error.message
+  } finally {
+    task.running = false
+    task.lastRunAt = new Date().toISOString()
+  }
+}
+
+export function startTasks() {
+  for (const task of tasks.values()) {
+    if (task.timer) continue
+
+    console.log(`Scheduling task ${task.name} every ${Math.round(task.intervalMs / 60000)} min`)
+    task.timer = setTimeout(function tick() {
+      runTask(task).finally(() => {
+        task.timer = setTimeout(tick, task.intervalMs).unref()
+      })
+    }, FIRST_RUN_DELAY_MS).unref()
+  }
+}
+
+export function stopTasks() {
+  for (const task of tasks.values()) {
+    clearTimeout(task.timer)
+    task.timer = null
+  }
+}
+
+export function listTasks() {
+  return [...tasks.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name, intervalMs, running, lastRunAt, lastError
+  }))
+}
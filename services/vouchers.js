@@ -0,0 +1,248 @@
+import crypto from 'crypto'
+import { getRepository } from './repository.js'
+import { getStyle } from './styles.js'
+import { listCurrencies } from './pricing.js'
+
+// Vouchers live in the 'vouchers' repository keyed by their code, and every use of one in
+// 'voucher_redemptions'. Two kinds:
+// - 'discount':      percentOff (1-100) or amountOff in one currency, taken off a checkout in
+//                    POST /api/create-checkout. 100% off skips Stripe altogether
+// - 'regenerations': extra rerolls for a session, POST /api/sessions/:sessionId/vouchers
+// Either can be limited to a number of redemptions and an expiry date; discounts can also be
+// limited to some styles, in which case every portrait in the checkout must be of one of them.
+//
+// A checkout that goes to Stripe holds its redemption as 'pending' until the webhook reports
+// it paid ('completed') or expired ('released', which frees the use again).
+const vouchers = () => getRepository('vouchers')
+const redemptions = () => getRepository('voucher_redemptions')
+
+const CODE_PATTERN = /^[A-Z0-9-]{4,32}$/
+const MAX_BULK_CODES = 500
+const MAX_REGENERATION_CREDITS = 20
+
+export function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase()
+}
+
+// e.g. VAL-7K2M-Q9XD; no 0/O or 1/I so codes survive being read out loud
+function generateCode(prefix = 'VAL') {
+  const alphabet = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ'
+  const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length])
+  return `${prefix}-${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0
+}
+
+/**
+ * Create vouchers from an admin request:
+ * { code, kind, percentOff, amountOff, currency, regenerations, maxRedemptions, expiresAt, styles, label, count, prefix }
+ * `count` > 1 creates that many vouchers with generated codes, single use unless maxRedemptions
+ * says otherwise (e.g. for a B2B bulk order); otherwise `code` is used, or generated when left out.
+ * Returns { vouchers } or { error }.
+ */
+export async function createVouchers(request) {
+  const {
+    kind = 'discount', percentOff = null, amountOff = null, currency = null, regenerations = null,
+    maxRedemptions = null, expiresAt = null, styles = null, label = null, count = 1, prefix = 'VAL'
+  } = request || {}
+
+  if (kind === 'discount') {
+    if ((percentOff === null) === (amountOff === null)) {
+      return { error: 'A discount voucher needs either percentOff or amountOff' }
+    }
+    if (percentOff !== null && !(isPositiveInteger(percentOff) && percentOff <= 100)) {
+      return { error: 'percentOff must be a whole number from 1 to 100' }
+    }
+    if (amountOff !== null && !(isPositiveInteger(amountOff) && listCurrencies().includes(currency))) {
+      return { error: `amountOff must be a positive amount in the smallest currency unit, with a currency out of ${listCurrencies().join(', ')}` }
+    }
+  } else if (kind === 'regenerations') {
+    if (!(isPositiveInteger(regenerations) && regenerations <= MAX_REGENERATION_CREDITS)) {
+      return { error: `regenerations must be a whole number from 1 to ${MAX_REGENERATION_CREDITS}` }
+    }
+  } else {
+    return { error: `Unknown voucher kind: ${kind}` }
+  }
+
+  if (maxRedemptions !== null && !isPositiveInteger(maxRedemptions)) {
+    return { error: 'maxRedemptions must be a positive whole number' }
+  }
+  if (expiresAt !== null && !(Date.parse(expiresAt) > Date.now())) {
+    return { error: 'expiresAt must be a date in the future' }
+  }
+  if (styles !== null && kind !== 'discount') {
+    return { error: 'Only discount vouchers can be limited to styles' }
+  }
+  if (styles !== null && !(Array.isArray(styles) && styles.length > 0)) {
+    return { error: 'styles must be a list of style ids' }
+  }
+  const unknownStyles = (styles || []).filter(style => !getStyle(style))
+  if (unknownStyles.length > 0) {
+    return { error: `Unknown styles: ${unknownStyles.join(', ')}` }
+  }
+  if (!(isPositiveInteger(count) && count <= MAX_BULK_CODES)) {
+    return { error: `count must be from 1 to ${MAX_BULK_CODES}` }
+  }
+  if (count > 1 && request.code) {
+    return { error: 'Codes are generated when count is more than 1' }
+  }
+  if (!CODE_PATTERN.test(`${normalizeCode(prefix)}-XXXX`)) {
+    return { error: 'prefix may only use letters, digits and dashes' }
+  }
+
+  const codes = request.code ? [normalizeCode(request.code)] : Array.from({ length: count }, () => generateCode(normalizeCode(prefix)))
+  if (!codes.every(code => CODE_PATTERN.test(code))) {
+    return { error: 'Codes are 4 to 32 letters, digits or dashes' }
+  }
+  for (const code of codes) {
+    if (await vouchers().get(code)) {
+      return { error: `Voucher ${code} already exists` }
+    }
+  }
+
+  const created = []
+  for (const code of codes) {
+    created.push(await vouchers().put(code, {
+      code,
+      kind,
+      percentOff: kind === 'discount' ? percentOff : null,
+      amountOff: kind === 'discount' ? amountOff : null,
+      currency: amountOff !== null ? currency : null,
+      regenerations: kind === 'regenerations' ? regenerations : null,
+      maxRedemptions: maxRedemptions ?? (count > 1 ? 1 : null),
+      redemptionCount: 0,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      styles,
+      label: label ? String(label).slice(0, 100) : null,
+      disabled: false
+    }))
+  }
+  return { vouchers: created }
+}
+
+export async function getVoucher(code) {
+  return vouchers().get(normalizeCode(code))
+}
+
+export async function listVouchers({ limit } = {}) {
+  return vouchers().find({}, { limit })
+}
+
+export async function setVoucherDisabled(code, disabled) {
+  return vouchers().update(normalizeCode(code), { disabled: Boolean(disabled) })
+}
+
+/**
+ * Check that `code` can be used now: for `kind`, on images of `styles`, in `currency`.
+ * Returns { voucher } or { error, code }.
+ */
+export async function checkVoucher(code, { kind, styles = [], currency = null }) {
+  const voucher = await getVoucher(code)
+
+  if (!voucher || voucher.kind !== kind) {
+    return { error: 'This voucher code is not valid', code: 'VOUCHER_INVALID' }
+  }
+  if (voucher.disabled) {
+    return { error: 'This voucher is no longer valid', code: 'VOUCHER_DISABLED' }
+  }
+  if (voucher.expiresAt && voucher.expiresAt < new Date().toISOString()) {
+    return { error: 'This voucher has expired', code: 'VOUCHER_EXPIRED' }
+  }
+  if (voucher.maxRedemptions !== null && voucher.redemptionCount >= voucher.maxRedemptions) {
+    return { error: 'This voucher has been used up', code: 'VOUCHER_USED_UP' }
+  }
+  const excluded = voucher.styles ? styles.filter(style => !voucher.styles.includes(style)) : []
+  if (excluded.length > 0) {
+    return { error: `This voucher only covers ${voucher.styles.join(', ')}`, code: 'VOUCHER_STYLE_RESTRICTED', allowedStyles: voucher.styles }
+  }
+  if (voucher.currency && currency && voucher.currency !== currency) {
+    return { error: `This voucher is only valid for payments in ${voucher.currency.toUpperCase()}`, code: 'VOUCHER_CURRENCY' }
+  }
+  return { voucher }
+}
+
+// Amount a discount voucher takes off `amount`
+export function discountFor(voucher, amount) {
+  if (voucher.percentOff !== null) {
+    return Math.min(amount, Math.round(amount * voucher.percentOff / 100))
+  }
+  return Math.min(amount, voucher.amountOff)
+}
+
+/**
+ * Record a use of `voucher` and count it against its limit.
+ * `details` says where it was used: { orderId, amountOff, currency } or { sessionId, regenerations }.
+ * The use is counted first with a conditional increment, so parallel checkouts can't take more
+ * uses than the voucher has, and a session can only redeem a code once.
+ * Returns { redemption } or { error, code }.
+ */
+export async function redeemVoucher(voucher, details, { status = 'completed' } = {}) {
+  const counted = await vouchers().increment(voucher.code, 'redemptionCount', 1, { max: voucher.maxRedemptions })
+  if (!counted) {
+    return { error: 'This voucher has been used up', code: 'VOUCHER_USED_UP' }
+  }
+
+  const giveBack = () => vouchers().increment(voucher.code, 'redemptionCount', -1, { min: 0 })
+
+  // Keyed by code and session for regenerations, so the insert fails when the session already has it
+  const id = details.sessionId ? `${voucher.code}_${details.sessionId}` : crypto.randomUUID()
+  const redemption = await redemptions().insert(id, {
+    id,
+    code: voucher.code,
+    kind: voucher.kind,
+    label: voucher.label,
+    orderId: null,
+    sessionId: null,
+    ...details,
+    status
+  }).catch(async error => {
+    await giveBack()
+    throw error
+  })
+
+  if (!redemption) {
+    await giveBack()
+    return { error: 'This voucher was already used for these portraits', code: 'VOUCHER_ALREADY_REDEEMED' }
+  }
+  return { redemption }
+}
+
+// A checkout redeems before Stripe gives it an id, see POST /api/create-checkout
+export async function assignRedemptionOrder(id, orderId) {
+  return redemptions().update(id, { orderId })
+}
+
+async function findRedemptionForOrder(orderId) {
+  const [redemption] = await redemptions().find({ orderId }, { limit: 1 })
+  return redemption || null
+}
+
+// The Stripe checkout holding a pending redemption was paid
+export async function completeOrderRedemption(orderId) {
+  const redemption = await findRedemptionForOrder(orderId)
+  if (redemption?.status !== 'pending') return redemption
+  return redemptions().update(redemption.id, { status: 'completed', completedAt: new Date().toISOString() })
+}
+
+// Give a pending use back, when its checkout expired or could not be created
+export async function releaseRedemption(redemption) {
+  if (redemption?.status !== 'pending') return redemption
+  await vouchers().increment(redemption.code, 'redemptionCount', -1, { min: 0 })
+  return redemptions().update(redemption.id, { status: 'released', releasedAt: new Date().toISOString() })
+}
+
+// The Stripe checkout holding a pending redemption expired, so the use is given back
+export async function releaseOrderRedemption(orderId) {
+  return releaseRedemption(await findRedemptionForOrder(orderId))
+}
+
+export async function hasSessionRedeemed(code, sessionId) {
+  return (await redemptions().find({ code: normalizeCode(code), sessionId }, { limit: 1 })).length > 0
+}
+
+// Redemptions, newest first, optionally of one code
+export async function listRedemptions({ code = null, limit } = {}) {
+  return redemptions().find(code ? { code: normalizeCode(code) } : {}, { limit })
+}
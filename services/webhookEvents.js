@@ -0,0 +1,62 @@
+import { getRepository } from './repository.js'
+
+// Stripe events live in the 'webhook_events' repository, keyed by event id. Stripe delivers an
+// event at least once and retries for up to three days, and deliveries can overlap, so each one
+// first claims the event id with an insert that only one of them can win:
+//   processing -> processed, or deleted again when handling failed so a retry can claim it
+// Records without a status were written before claims and count as processed.
+const webhookEvents = () => getRepository('webhook_events')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// A claim this old belongs to a delivery that died mid-way, so another one may take it over
+const STALE_CLAIM_MS = 5 * 60 * 1000
+
+// Kept a little longer than Stripe keeps retrying (WEBHOOK_EVENT_RETENTION_DAYS, default 30)
+export function getWebhookEventRetentionMs() {
+  return parseFloat(process.env.WEBHOOK_EVENT_RETENTION_DAYS ?? '30') * DAY_MS
+}
+
+/**
+ * Claim `event` for handling. Resolves to 'claimed' when the caller should handle it,
+ * 'processed' when it was handled before and 'processing' while another delivery handles it.
+ */
+export async function claimEvent(event, now = Date.now()) {
+  const claimed = await webhookEvents().insert(event.id, {
+    id: event.id,
+    type: event.type,
+    objectId: event.data?.object?.id || null,
+    livemode: Boolean(event.livemode),
+    status: 'processing',
+    attempt: 1,
+    claimedAt: new Date(now).toISOString()
+  })
+  if (claimed) return 'claimed'
+
+  const existing = await webhookEvents().get(event.id)
+  if (!existing) return claimEvent(event, now)
+  if (existing.status !== 'processing') return 'processed'
+  if (Date.parse(existing.claimedAt) > now - STALE_CLAIM_MS) return 'processing'
+
+  // Taking over bumps the attempt from the one seen, which only one delivery can do
+  const takenOver = await webhookEvents().increment(event.id, 'attempt', 1, { max: existing.attempt + 1 })
+  if (!takenOver) return 'processing'
+  await webhookEvents().update(event.id, { claimedAt: new Date(now).toISOString() })
+  return 'claimed'
+}
+
+export async function markEventProcessed(eventId) {
+  return webhookEvents().update(eventId, { status: 'processed', processedAt: new Date().toISOString() })
+}
+
+// Handling failed, so the next delivery of the event handles it again
+export async function releaseEvent(eventId) {
+  return webhookEvents().delete(eventId)
+}
+
+export async function purgeProcessedEvents(now = Date.now()) {
+  const createdBefore = new Date(now - getWebhookEventRetentionMs()).toISOString()
+  const expired = await webhookEvents().find({}, { createdBefore })
+  await Promise.all(expired.map(event => webhookEvents().delete(event.id)))
+  return expired.length
+}
@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import { useTestEnvironment, startApp } from './helpers.js'
+
+useTestEnvironment()
+
+const { default: composeRouter } = await import('../routes/compose.js')
+const { createSession, createSessionToken } = await import('../services/sessions.js')
+const { storeImageMetadata, getImageMetadata } = await import('../services/imageGenerator.js')
+const { putObject } = await import('../services/storage.js')
+
+let app
+before(async () => { app = await startApp(composeRouter) })
+after(() => app.close())
+
+const sessionId = '2f3a4b5c-6d7e-4f8a-9b0c-1d2e3f4a5b6c'
+const imageId = `${sessionId}_oil-painting`
+
+before(async () => {
+  const portrait = await sharp({ create: { width: 540, height: 960, channels: 3, background: '#c04060' } }).jpeg().toBuffer()
+  const storagePath = `valentines/${sessionId}/originals/oil-painting.jpg`
+  await putObject(storagePath, portrait, 'image/jpeg', { private: true })
+  await createSession({ id: sessionId, styles: ['oil-painting'] })
+  await storeImageMetadata(imageId, { theme: 'oil-painting', sessionId, generationMode: 'ai', storagePath })
+})
+
+const body = { layout: 'caption', frame: 'gold', font: 'sans', text: { title: 'Be mine' } }
+
+test('composing needs access to the session of the image', async () => {
+  const response = await app.request('POST', `/api/images/${imageId}/compose`, { body })
+  assert.equal(response.status, 403)
+  assert.equal(response.body.code, 'SESSION_ACCESS_DENIED')
+})
+
+test('parallel compositions are all kept', async () => {
+  const headers = { 'x-session-token': createSessionToken(sessionId) }
+  const responses = await Promise.all(Array.from({ length: 3 }, () =>
+    app.request('POST', `/api/images/${imageId}/compose`, { body, headers })
+  ))
+
+  assert.deepEqual(responses.map(response => response.status), [201, 201, 201])
+  assert.equal((await getImageMetadata(imageId)).compositions.length, 3)
+})
@@ -0,0 +1,21 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCompositionRequest } from '../services/compositor.js'
+
+test('parseCompositionRequest accepts a valid request and trims its text', () => {
+  const { options } = parseCompositionRequest({ layout: 'caption', frame: 'gold', font: 'sans', text: { title: '  Be   mine ' } })
+
+  assert.equal(options.layout, 'caption')
+  assert.equal(options.text.title, 'Be mine')
+  assert.equal(options.text.message, null)
+})
+
+test('parseCompositionRequest refuses ids inherited from Object', () => {
+  assert.ok(parseCompositionRequest({ layout: 'constructor' }).error)
+  assert.ok(parseCompositionRequest({ layout: 'caption', frame: 'toString' }).error)
+  assert.ok(parseCompositionRequest({ layout: 'caption', font: '__proto__' }).error)
+})
+
+test('parseCompositionRequest enforces text limits', () => {
+  assert.ok(parseCompositionRequest({ layout: 'caption', text: { title: 'x'.repeat(61) } }).error)
+})
@@ -0,0 +1,15 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import { findFocus } from '../services/cropping.js'
+
+test('an unknown CROP_STRATEGY crops around the centre', async () => {
+  const image = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#808080' } }).png().toBuffer()
+  process.env.CROP_STRATEGY = 'faces'
+
+  try {
+    assert.deepEqual(await findFocus(image), { x: 0.5, y: 0.5, strategy: 'center' })
+  } finally {
+    delete process.env.CROP_STRATEGY
+  }
+})
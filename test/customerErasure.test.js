@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment, startApp } from './helpers.js'
+
+useTestEnvironment({ ADMIN_API_KEY: 'test-admin-key' })
+
+const { default: adminRouter } = await import('../routes/admin.js')
+const { createLogin, verifyLogin, authenticate, findAccountByEmail } = await import('../services/accounts.js')
+const { createSession, getSession } = await import('../services/sessions.js')
+const { createOrder, getOrder } = await import('../services/orders.js')
+const { createGiftForOrder, getGift } = await import('../services/gifts.js')
+
+let app
+before(async () => { app = await startApp(adminRouter) })
+after(() => app.close())
+
+const gift = (recipientEmail) => ({ recipientName: 'Robin', recipientEmail, fromName: 'Sam', message: 'Be mine', deliverAt: null })
+
+test('erasing a customer removes their account, gifts and order details', async () => {
+  const email = 'erase@example.com'
+  const login = await createLogin(email)
+  const { token, account } = await verifyLogin({ loginId: login.loginId, code: login.code })
+  await createLogin(email)
+
+  const sessionId = '0d1e2f3a-4b5c-4d6e-8f7a-8b9c0d1e2f3a'
+  await createSession({ id: sessionId, styles: ['oil-painting'], accountId: account.id })
+  const bought = await createOrder({ id: 'mock_erase_bought', imageIds: [`${sessionId}_oil-painting`], paid: true, customerEmail: email, gift: gift('friend@example.com') })
+  const sentGift = await createGiftForOrder(bought)
+  const received = await createOrder({ id: 'mock_erase_received', imageIds: ['1e2f3a4b-5c6d-4e7f-9a8b-9c0d1e2f3a4b_oil-painting'], paid: true, customerEmail: 'other@example.com', gift: gift(email) })
+  const receivedGift = await createGiftForOrder(received)
+
+  const response = await app.request('DELETE', `/api/admin/customers/${encodeURIComponent(email)}`, { headers: { 'x-admin-key': 'test-admin-key' } })
+
+  assert.equal(response.status, 200)
+  assert.equal(response.body.sessionsDeleted, 1)
+  assert.equal(response.body.ordersAnonymised, 1)
+  assert.equal(response.body.giftsDeleted, 2)
+  assert.equal(response.body.accountDeleted, true)
+  assert.equal(response.body.accessTokensDeleted, 1)
+  assert.equal(response.body.loginsDeleted, 1)
+
+  assert.equal(await findAccountByEmail(email), null)
+  assert.equal(await authenticate(token), null)
+  assert.equal(await getSession(sessionId), null)
+  assert.equal(await getGift(sentGift.id), null)
+  assert.equal(await getGift(receivedGift.id), null)
+
+  const boughtAfter = await getOrder(bought.id)
+  assert.equal(boughtAfter.customerEmail, null)
+  assert.equal(boughtAfter.accountId, null)
+  assert.deepEqual([boughtAfter.gift.recipientName, boughtAfter.gift.recipientEmail, boughtAfter.gift.message], [null, null, null])
+
+  const receivedAfter = await getOrder(received.id)
+  assert.equal(receivedAfter.customerEmail, 'other@example.com')
+  assert.equal(receivedAfter.gift.recipientEmail, null)
+})
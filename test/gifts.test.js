@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment, startApp } from './helpers.js'
+
+useTestEnvironment()
+
+const { default: giftsRouter } = await import('../routes/gifts.js')
+const { createOrder } = await import('../services/orders.js')
+const { createGiftForOrder } = await import('../services/gifts.js')
+
+let app
+before(async () => { app = await startApp(giftsRouter) })
+after(() => app.close())
+
+async function createGift(id, gift) {
+  const order = await createOrder({
+    id,
+    imageIds: ['9c0d1e2f-3a4b-4c5d-8e6f-7a8b9c0d1e2f_oil-painting'],
+    paid: true,
+    gift: { recipientEmail: 'recipient@example.com', message: 'Happy Valentine\'s', fromName: 'Sam', deliverAt: null, ...gift }
+  })
+  return createGiftForOrder(order)
+}
+
+test('gift downloads name files after recipients in any script', async () => {
+  const gift = await createGift('mock_gift_unicode', { recipientName: 'Дмитрий & José' })
+
+  const response = await app.request('GET', `/api/gifts/${gift.id}/download`)
+
+  assert.equal(response.status, 200)
+  const disposition = response.headers.get('content-disposition')
+  assert.match(disposition, /^attachment; filename="Valentines for Jose - imagegen\.studio\.zip"; filename\*=UTF-8''/)
+  assert.equal(decodeURIComponent(disposition.split("UTF-8''")[1]), 'Valentines for Дмитрий-José - imagegen.studio.zip')
+})
+
+test('a scheduled gift stays hidden until it is due', async () => {
+  const deliverAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+  const gift = await createGift('mock_gift_scheduled', { recipientName: 'Alex', deliverAt })
+
+  const response = await app.request('GET', `/api/gifts/${gift.id}`)
+
+  assert.equal(response.status, 404)
+})
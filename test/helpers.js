@@ -0,0 +1,48 @@
+import express from 'express'
+
+// Tests run against the memory repository and without Stripe, email or a spend cap
+export function useTestEnvironment(overrides = {}) {
+  Object.assign(process.env, {
+    DATA_STORE: 'memory',
+    MAIL_TRANSPORT: 'console',
+    IMAGE_PROVIDER: 'mock',
+    DAILY_SPEND_CAP_CENTS: '0',
+    SIGNING_SECRET: 'test-secret',
+    ...overrides
+  })
+  delete process.env.STRIPE_SECRET_KEY
+}
+
+/**
+ * Serve `routers` under /api on a free port, like index.js does.
+ * Resolves to { request(method, path, { body, headers }), close() }; request resolves to { status, body }.
+ */
+export async function startApp(...routers) {
+  const app = express()
+  app.use(express.json())
+  for (const router of routers) {
+    app.use('/api', router)
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+  })
+  const base = `http://127.0.0.1:${server.address().port}`
+
+  return {
+    async request(method, path, { body, headers = {} } = {}) {
+      const response = await fetch(`${base}${path}`, {
+        method,
+        headers: { ...(body && { 'content-type': 'application/json' }), ...headers },
+        body: body && JSON.stringify(body)
+      })
+      const text = await response.text()
+      const json = response.headers.get('content-type')?.includes('json')
+      return { status: response.status, body: text && json ? JSON.parse(text) : null, headers: response.headers }
+    },
+    close() {
+      server.closeAllConnections()
+      return new Promise(resolve => server.close(resolve))
+    }
+  }
+}
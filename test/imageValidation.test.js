@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment } from './helpers.js'
+
+useTestEnvironment({ UPLOAD_MAX_PIXELS: '40000000' })
+const { readHeicDimensions, validateUpload } = await import('../services/imageValidation.js')
+
+function box(type, ...payloads) {
+  const payload = Buffer.concat(payloads)
+  const header = Buffer.alloc(8)
+  header.writeUInt32BE(payload.length + 8)
+  header.write(type, 4, 'ascii')
+  return Buffer.concat([header, payload])
+}
+
+function ispe(width, height) {
+  const payload = Buffer.alloc(12)
+  payload.writeUInt32BE(width, 4)
+  payload.writeUInt32BE(height, 8)
+  return box('ispe', payload)
+}
+
+// Just the boxes a HEIC needs to be recognised and measured, no image data
+function heicHeader(...extents) {
+  const ftyp = box('ftyp', Buffer.from('heic\0\0\0\0mif1heic', 'ascii'))
+  const meta = box('meta', Buffer.alloc(4), box('hdlr', Buffer.alloc(20)), box('iprp', box('ipco', ...extents.map(([w, h]) => ispe(w, h)))))
+  return Buffer.concat([ftyp, meta])
+}
+
+test('reads the largest spatial extent of a HEIC', () => {
+  assert.deepEqual(readHeicDimensions(heicHeader([512, 512], [4032, 3024])), { width: 4032, height: 3024 })
+  assert.equal(readHeicDimensions(heicHeader()), null)
+})
+
+test('refuses an oversized HEIC before decoding it', async () => {
+  await assert.rejects(validateUpload(heicHeader([512, 512], [20000, 20000])), { code: 'IMAGE_TOO_LARGE', status: 413 })
+})
+
+test('refuses a HEIC without dimensions', async () => {
+  await assert.rejects(validateUpload(heicHeader()), { code: 'CORRUPT_IMAGE' })
+})
@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment, startApp } from './helpers.js'
+
+useTestEnvironment({ VERIFY_LIMIT_PER_IP: '0', VERIFY_LIMIT_PER_FINGERPRINT: '0', VERIFY_LIMIT_PER_EMAIL: '0' })
+
+const { default: accountRouter } = await import('../routes/account.js')
+const { createLogin } = await import('../services/accounts.js')
+
+let app
+before(async () => { app = await startApp(accountRouter) })
+after(() => app.close())
+
+const wrongCode = code => String((parseInt(code, 10) + 1) % 1000000).padStart(6, '0')
+
+test('parallel guesses get no more than five attempts at a code', async () => {
+  const { loginId, code } = await createLogin('guess@example.com')
+
+  const responses = await Promise.all(Array.from({ length: 12 }, () =>
+    app.request('POST', '/api/auth/verify', { body: { loginId, code: wrongCode(code) } })
+  ))
+
+  assert.equal(responses.filter(response => response.body.code === 'LOGIN_INVALID').length, 5)
+  assert.ok(responses.every(response => response.status !== 200))
+
+  const correct = await app.request('POST', '/api/auth/verify', { body: { loginId, code } })
+  assert.notEqual(correct.status, 200)
+})
+
+test('a code signs in once', async () => {
+  const { loginId, code } = await createLogin('once@example.com')
+
+  const responses = await Promise.all(Array.from({ length: 3 }, () =>
+    app.request('POST', '/api/auth/verify', { body: { loginId, code } })
+  ))
+
+  assert.equal(responses.filter(response => response.status === 200).length, 1)
+})
+
+test('verify attempts are limited per email address across logins', async () => {
+  process.env.VERIFY_LIMIT_PER_EMAIL = '3'
+  const first = await createLogin('limited@example.com')
+  const second = await createLogin('limited@example.com')
+
+  for (let i = 0; i < 3; i++) {
+    const response = await app.request('POST', '/api/auth/verify', { body: { loginId: first.loginId, code: wrongCode(first.code) } })
+    assert.equal(response.body.code, 'LOGIN_INVALID')
+  }
+
+  const limited = await app.request('POST', '/api/auth/verify', { body: { loginId: second.loginId, code: second.code } })
+  assert.equal(limited.status, 429)
+  assert.equal(limited.body.code, 'RATE_LIMITED')
+})
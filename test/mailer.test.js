@@ -0,0 +1,34 @@
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment } from './helpers.js'
+
+useTestEnvironment()
+
+const { sendMail } = await import('../services/mailer.js')
+
+async function logged(message) {
+  const log = mock.method(console, 'log', () => {})
+  try {
+    await sendMail(message)
+    return log.mock.calls.map(call => call.arguments.join(' ')).join('\n')
+  } finally {
+    log.mock.restore()
+  }
+}
+
+const message = { to: 'someone@example.com', subject: 'Your portraits', text: 'Download: https://example.com/d/secret-token', html: '<p>secret-token</p>' }
+
+test('the console transport logs recipient and subject but not the body', async () => {
+  delete process.env.MAIL_LOG_BODY
+  const output = await logged(message)
+
+  assert.match(output, /someone@example\.com/)
+  assert.match(output, /Your portraits/)
+  assert.doesNotMatch(output, /secret-token/)
+})
+
+test('MAIL_LOG_BODY=true logs the body too', async () => {
+  process.env.MAIL_LOG_BODY = 'true'
+  assert.match(await logged(message), /secret-token/)
+  delete process.env.MAIL_LOG_BODY
+})
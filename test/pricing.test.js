@@ -0,0 +1,21 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveCurrency, quoteCheckout } from '../services/pricing.js'
+
+test('resolveCurrency picks the requested currency, then the locale, then the default', () => {
+  assert.equal(resolveCurrency({ currency: 'EUR' }), 'eur')
+  assert.equal(resolveCurrency({ locale: 'en_GB' }), 'gbp')
+  assert.equal(resolveCurrency({ acceptLanguage: 'fr-FR;q=0.9, xx;q=1' }), 'eur')
+  assert.equal(resolveCurrency({}), 'usd')
+})
+
+test('resolveCurrency ignores values inherited from Object', () => {
+  assert.equal(resolveCurrency({ currency: 'constructor' }), 'usd')
+  assert.equal(resolveCurrency({ locale: 'constructor' }), 'usd')
+  assert.equal(resolveCurrency({ currency: 5 }), 'usd')
+})
+
+test('quoteCheckout refuses unknown add-ons, including inherited names', () => {
+  assert.ok(quoteCheckout({ imageCount: 1, addOns: ['constructor'], currency: 'usd' }).error)
+  assert.equal(quoteCheckout({ imageCount: 1, addOns: ['print'], currency: 'usd' }).addOns[0].amount, 499)
+})
@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import { useTestEnvironment } from './helpers.js'
+
+useTestEnvironment({ PRINT_BLEED_MM: '3', PRINT_SLUG_MM: '8' })
+
+const { renderPrintFile } = await import('../services/printExport.js')
+
+const master = await sharp({ create: { width: 600, height: 800, channels: 3, background: '#3366aa' } }).png().toBuffer()
+
+for (const cropMarks of [false, true]) {
+  test(`print files are 300 DPI CMYK TIFFs ${cropMarks ? 'with' : 'without'} crop marks`, async () => {
+    const print = await renderPrintFile(master, '5x7', { cropMarks })
+    const metadata = await sharp(print.buffer).metadata()
+
+    // 5 x 7 in at 300 DPI plus 3 mm bleed (35 px) a side, and an 8 mm slug (94 px) a side for the marks
+    const [width, height] = cropMarks ? [1758, 2358] : [1570, 2170]
+    assert.equal(metadata.format, 'tiff')
+    assert.equal(metadata.space, 'cmyk')
+    assert.equal(metadata.channels, 4)
+    assert.equal(metadata.hasAlpha, false)
+    assert.equal(metadata.density, 300)
+    assert.deepEqual([metadata.width, metadata.height], [width, height])
+    assert.deepEqual([print.width, print.height], [width, height])
+  })
+}
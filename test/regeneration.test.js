@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment, startApp } from './helpers.js'
+
+useTestEnvironment({ REGENERATION_LIMIT: '2', ADMIN_API_KEY: 'test-admin-key', GENERATE_LIMIT_PER_IP: '0', GENERATE_LIMIT_PER_FINGERPRINT: '0' })
+
+const { default: sessionsRouter } = await import('../routes/sessions.js')
+const { default: adminRouter } = await import('../routes/admin.js')
+const { createSession, getSession, createSessionToken, trackGeneration, useRegeneration } = await import('../services/sessions.js')
+const { storeImageMetadata } = await import('../services/imageGenerator.js')
+const { createOrder } = await import('../services/orders.js')
+
+let app
+before(async () => { app = await startApp(sessionsRouter, adminRouter) })
+after(() => app.close())
+
+async function createTestSession(id) {
+  await createSession({ id, styles: ['oil-painting'], originalName: 'photo.jpg' })
+  await storeImageMetadata(`${id}_oil-painting`, { theme: 'oil-painting', sessionId: id, generationMode: 'fallback' })
+}
+
+test('parallel regenerations stop at the limit', async () => {
+  const sessionId = '6f1c2d7e-0a4b-4c1d-9e2f-3a4b5c6d7e8f'
+  await createTestSession(sessionId)
+
+  const responses = await Promise.all(Array.from({ length: 6 }, () =>
+    app.request('POST', `/api/sessions/${sessionId}/regenerate`, { body: { style: 'oil-painting' }, headers: { 'x-session-token': createSessionToken(sessionId) } })
+  ))
+
+  assert.equal(responses.filter(response => response.status === 202).length, 2)
+  assert.ok(responses.filter(response => response.status !== 202).every(response => response.body.code === 'REGENERATION_LIMIT'))
+  assert.equal((await getSession(sessionId)).regenerationsUsed, 2)
+})
+
+test('bought portraits are not regenerated', async () => {
+  const sessionId = '7a2b3c4d-5e6f-4a1b-8c2d-9e0f1a2b3c4d'
+  await createTestSession(sessionId)
+  await createOrder({ id: 'mock_1_bundle', imageIds: [`${sessionId}_oil-painting`], paid: true })
+
+  const response = await app.request('POST', `/api/sessions/${sessionId}/regenerate`, { body: { style: 'oil-painting' }, headers: { 'x-session-token': createSessionToken(sessionId) } })
+
+  assert.equal(response.status, 409)
+  assert.equal(response.body.code, 'IMAGE_PURCHASED')
+  assert.equal((await getSession(sessionId)).regenerationsUsed, 0)
+
+  const admin = await app.request('POST', `/api/admin/sessions/${sessionId}/regenerate`, { body: { style: 'oil-painting' }, headers: { 'x-admin-key': 'test-admin-key' } })
+
+  assert.equal(admin.status, 409)
+  assert.equal(admin.body.code, 'IMAGE_PURCHASED')
+})
+
+test('regenerating needs access to the session', async () => {
+  const sessionId = '5a6b7c8d-9e0f-4a1b-8c2d-3e4f5a6b7c8d'
+  await createTestSession(sessionId)
+
+  const response = await app.request('POST', `/api/sessions/${sessionId}/regenerate`, { body: { style: 'oil-painting' } })
+
+  assert.equal(response.status, 403)
+  assert.equal((await getSession(sessionId)).regenerationsUsed, 0)
+})
+
+test('regenerating passes human verification like generating', async () => {
+  const sessionId = '6b7c8d9e-0f1a-4b2c-8d3e-4f5a6b7c8d9e'
+  await createTestSession(sessionId)
+  process.env.HUMAN_VERIFICATION = 'stub'
+
+  try {
+    const headers = { 'x-session-token': createSessionToken(sessionId) }
+    const response = await app.request('POST', `/api/sessions/${sessionId}/regenerate`, { body: { style: 'oil-painting' }, headers })
+
+    assert.equal(response.status, 403)
+    assert.equal(response.body.code, 'HUMAN_VERIFICATION_REQUIRED')
+    assert.equal((await getSession(sessionId)).regenerationsUsed, 0)
+  } finally {
+    delete process.env.HUMAN_VERIFICATION
+  }
+})
+
+test('generations finishing together are all recorded without losing regenerations', async () => {
+  const sessionId = '7c8d9e0f-1a2b-4c3d-9e4f-5a6b7c8d9e0f'
+  await createTestSession(sessionId)
+  const session = await getSession(sessionId)
+
+  await Promise.all([
+    ...Array.from({ length: 3 }, (_, i) =>
+      trackGeneration(sessionId, { jobId: `job_${i}`, kind: 'regeneration' }, async () => ({ images: [] }))
+    ),
+    useRegeneration(session),
+    useRegeneration(session)
+  ])
+
+  const updated = await getSession(sessionId)
+  assert.equal(updated.generations.length, 3)
+  assert.equal(updated.regenerationsUsed, 2)
+})
@@ -0,0 +1,14 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseSelection, OUTPUT_PRESETS, DEFAULT_PRESET } from '../services/renditions.js'
+
+test('parseSelection accepts known ids and all', () => {
+  assert.deepEqual(parseSelection(undefined, OUTPUT_PRESETS, DEFAULT_PRESET), { ids: [DEFAULT_PRESET] })
+  assert.deepEqual(parseSelection('all', OUTPUT_PRESETS, DEFAULT_PRESET), { ids: Object.keys(OUTPUT_PRESETS) })
+})
+
+test('parseSelection refuses ids inherited from Object', () => {
+  for (const id of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.ok(parseSelection(id, OUTPUT_PRESETS, DEFAULT_PRESET).error, id)
+  }
+})
@@ -0,0 +1,93 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getRepository } from '../services/repository.js'
+
+process.env.DATA_STORE = 'memory'
+
+test('increment adds to a counter and stops at the bounds', async () => {
+  const counters = getRepository('test_counters')
+  await counters.put('a', { id: 'a', count: 0 })
+
+  assert.equal((await counters.increment('a', 'count', 1, { max: 2 })).count, 1)
+  assert.equal((await counters.increment('a', 'count', 1, { max: 2 })).count, 2)
+  assert.equal(await counters.increment('a', 'count', 1, { max: 2 }), null)
+  assert.equal((await counters.get('a')).count, 2)
+
+  assert.equal((await counters.increment('a', 'count', -2, { min: 0 })).count, 0)
+  assert.equal(await counters.increment('a', 'count', -1, { min: 0 }), null)
+  assert.equal(await counters.increment('missing', 'count'), null)
+})
+
+test('concurrent increments never pass the maximum', async () => {
+  const counters = getRepository('test_concurrent')
+  await counters.put('a', { id: 'a' })
+
+  const results = await Promise.all(Array.from({ length: 20 }, () => counters.increment('a', 'count', 1, { max: 5 })))
+
+  assert.equal(results.filter(Boolean).length, 5)
+  assert.equal((await counters.get('a')).count, 5)
+})
+
+test('insert only creates records that do not exist', async () => {
+  const claims = getRepository('test_claims')
+
+  const results = await Promise.all([claims.insert('x', { id: 'x', by: 1 }), claims.insert('x', { id: 'x', by: 2 })])
+
+  assert.equal(results.filter(Boolean).length, 1)
+  assert.equal((await claims.get('x')).by, results.find(Boolean).by)
+})
+
+test('put and update keep createdAt, which find filters on', async () => {
+  const records = getRepository('test_created')
+  await records.put('old', { id: 'old', createdAt: '2020-01-01T00:00:00.000Z' })
+  await records.put('new', { id: 'new' })
+
+  await records.put('old', { id: 'old', value: 1 })
+  await records.update('old', { value: 2 })
+
+  const old = await records.get('old')
+  assert.equal(old.createdAt, '2020-01-01T00:00:00.000Z')
+  assert.equal(old.value, 2)
+  assert.deepEqual((await records.find({}, { createdBefore: '2021-01-01T00:00:00.000Z' })).map(record => record.id), ['old'])
+})
+
+test('find with contains matches records whose array field includes the value', async () => {
+  const records = getRepository('test_contains')
+  await records.put('a', { id: 'a', tags: ['x', 'y'] })
+  await records.put('b', { id: 'b', tags: ['y'] })
+  await records.put('c', { id: 'c', tags: 'x' })
+
+  assert.deepEqual((await records.find({}, { contains: { tags: 'x' } })).map(record => record.id), ['a'])
+  assert.equal((await records.find({ id: 'b' }, { contains: { tags: 'y' } })).length, 1)
+})
+
+test('append adds to an array field up to maxLength, also in parallel', async () => {
+  const records = getRepository('test_append')
+  await records.put('a', { id: 'a' })
+
+  const results = await Promise.all(Array.from({ length: 5 }, (_, i) => records.append('a', 'items', i, { maxLength: 3 })))
+
+  assert.equal(results.filter(Boolean).length, 3)
+  assert.deepEqual((await records.get('a')).items, [0, 1, 2])
+  assert.equal(await records.append('missing', 'items', 1), null)
+})
+
+test('paging with startAfter visits records created at the same time once each', async () => {
+  const records = getRepository('test_paging')
+  const createdAt = '2020-01-01T00:00:00.000Z'
+  for (const id of ['a', 'b', 'c', 'd', 'e']) {
+    await records.put(id, { id, createdAt })
+  }
+  await records.put('f', { id: 'f', createdAt: '2019-01-01T00:00:00.000Z' })
+
+  const seen = []
+  let startAfter = null
+  while (true) {
+    const page = await records.find({}, { limit: 2, startAfter })
+    seen.push(...page.map(record => record.id))
+    if (page.length < 2) break
+    startAfter = { createdAt: page[1].createdAt, id: page[1].id }
+  }
+
+  assert.deepEqual(seen, ['e', 'd', 'c', 'b', 'a', 'f'])
+})
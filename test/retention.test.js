@@ -0,0 +1,50 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment } from './helpers.js'
+
+useTestEnvironment({ UNPAID_RETENTION_DAYS: '7', PAID_RETENTION_DAYS: '90' })
+
+const { getRepository } = await import('../services/repository.js')
+const { getSession } = await import('../services/sessions.js')
+const { createOrder, findOrdersForSession } = await import('../services/orders.js')
+const { purgeExpiredSessions } = await import('../services/retention.js')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString()
+
+async function putSession(id, createdAt) {
+  await getRepository('sessions').put(id, { id, styles: ['oil-painting'], createdAt })
+}
+
+test('orders are found by the sessions of their images', async () => {
+  const sessionId = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d'
+  await createOrder({ id: 'mock_sessions_1', imageIds: [`${sessionId}_oil-painting`, `${sessionId}_watercolor`] })
+  await createOrder({ id: 'mock_sessions_2', imageIds: ['2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d6e_oil-painting'] })
+
+  const orders = await findOrdersForSession(sessionId)
+  assert.deepEqual(orders.map(order => order.id), ['mock_sessions_1'])
+  assert.deepEqual(orders[0].sessionIds, [sessionId])
+})
+
+test('the purge keeps recently paid sessions and deletes expired ones', async () => {
+  const unpaid = '3c4d5e6f-7a8b-4c9d-8e1f-2a3b4c5d6e7f'
+  const recentlyPaid = '4d5e6f7a-8b9c-4d0e-9f2a-3b4c5d6e7f8a'
+  const longAgoPaid = '5e6f7a8b-9c0d-4e1f-8a3b-4c5d6e7f8a9b'
+  const fresh = '6f7a8b9c-0d1e-4f2a-9b4c-5d6e7f8a9b0c'
+
+  await putSession(unpaid, daysAgo(10))
+  await putSession(recentlyPaid, daysAgo(100))
+  await putSession(longAgoPaid, daysAgo(200))
+  await putSession(fresh, daysAgo(1))
+  await createOrder({ id: 'mock_retention_1', imageIds: [`${recentlyPaid}_oil-painting`], paid: true })
+  await getRepository('orders').put('mock_retention_2', {
+    ...await createOrder({ id: 'mock_retention_2', imageIds: [`${longAgoPaid}_oil-painting`], paid: true }),
+    paidAt: daysAgo(150)
+  })
+
+  const deleted = await purgeExpiredSessions()
+
+  assert.deepEqual(deleted.sort(), [unpaid, longAgoPaid].sort())
+  assert.ok(await getSession(recentlyPaid))
+  assert.ok(await getSession(fresh))
+})
@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment, startApp } from './helpers.js'
+
+useTestEnvironment()
+
+const { default: sessionsRouter } = await import('../routes/sessions.js')
+const { createSession, getSession, createSessionToken } = await import('../services/sessions.js')
+const { putObject, getObject } = await import('../services/storage.js')
+
+let app
+before(async () => { app = await startApp(sessionsRouter) })
+after(() => app.close())
+
+const sessionId = '3c9d8e7f-6a5b-4c3d-8e1f-0a9b8c7d6e5f'
+const otherSessionId = '4d0e9f8a-7b6c-4d5e-9f2a-1b0c9d8e7f6a'
+
+test('ids that are not session ids are refused before anything is deleted', async () => {
+  await putObject(`valentines/${otherSessionId}/upload.jpg`, Buffer.from('photo'), 'image/jpeg', { private: true })
+
+  for (const id of ['..%2Fvalentines', `${otherSessionId}%2F..`, 'not-a-session']) {
+    const response = await app.request('DELETE', `/api/sessions/${id}`, { headers: { 'x-session-token': createSessionToken(id) } })
+    assert.equal(response.status, 400, id)
+    assert.equal(response.body.code, 'INVALID_SESSION_ID')
+  }
+  assert.ok(await getObject(`valentines/${otherSessionId}/upload.jpg`, { private: true }))
+})
+
+test('deleting a session needs its token', async () => {
+  await createSession({ id: sessionId, styles: ['oil-painting'] })
+
+  const anonymous = await app.request('DELETE', `/api/sessions/${sessionId}`)
+  assert.equal(anonymous.status, 403)
+  assert.equal(anonymous.body.code, 'SESSION_ACCESS_DENIED')
+
+  const otherToken = await app.request('DELETE', `/api/sessions/${sessionId}`, { headers: { 'x-session-token': createSessionToken(otherSessionId) } })
+  assert.equal(otherToken.status, 403)
+  assert.ok(await getSession(sessionId))
+
+  const owner = await app.request('DELETE', `/api/sessions/${sessionId}`, { headers: { 'x-session-token': createSessionToken(sessionId) } })
+  assert.equal(owner.status, 200)
+  assert.equal(await getSession(sessionId), null)
+})
@@ -0,0 +1,29 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment } from './helpers.js'
+
+useTestEnvironment({
+  DAILY_SPEND_CAP_CENTS: '42',
+  GENERATION_COST_CENTS: '14',
+  GENERATION_MAX_RETRIES: '3',
+  GENERATION_RETRY_BASE_MS: '1',
+  GENERATION_RATE_PER_MINUTE: '60000'
+})
+
+const { reserveGenerations } = await import('../services/spendCap.js')
+const { generateWithRetries } = await import('../services/generationScheduler.js')
+
+test('retries are paid for from the spend cap and stop when it runs out', async () => {
+  assert.equal((await reserveGenerations(1)).allowed, true)
+
+  let calls = 0
+  const failing = async () => {
+    calls++
+    throw Object.assign(new Error('Service unavailable'), { status: 503 })
+  }
+
+  await assert.rejects(generateWithRetries('test-style', failing), { status: 503 })
+  // One reserved up front, then two retries fit under the cap of three generations
+  assert.equal(calls, 3)
+  assert.equal((await reserveGenerations(1)).allowed, false)
+})
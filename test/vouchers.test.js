@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment, startApp } from './helpers.js'
+
+useTestEnvironment({ VOUCHER_LIMIT_PER_IP: '0', VOUCHER_LIMIT_PER_FINGERPRINT: '0' })
+
+const { default: paymentRouter } = await import('../routes/payment.js')
+const { default: sessionsRouter } = await import('../routes/sessions.js')
+const { createVouchers, getVoucher, listRedemptions } = await import('../services/vouchers.js')
+const { createSession, getSession, getRegenerationLimit, createSessionToken } = await import('../services/sessions.js')
+const { storeImageMetadata } = await import('../services/imageGenerator.js')
+
+let app
+before(async () => { app = await startApp(paymentRouter, sessionsRouter) })
+after(() => app.close())
+
+const sessionId = '8b9c0d1e-2f3a-4b5c-8d7e-9f0a1b2c3d4e'
+const imageId = `${sessionId}_oil-painting`
+
+before(async () => {
+  await createSession({ id: sessionId, styles: ['oil-painting'] })
+  await storeImageMetadata(imageId, { theme: 'oil-painting', sessionId, generationMode: 'ai' })
+})
+
+test('parallel free checkouts stop at the voucher limit', async () => {
+  const { vouchers: [voucher] } = await createVouchers({ code: 'FREE-TWICE', percentOff: 100, maxRedemptions: 2 })
+
+  const responses = await Promise.all(Array.from({ length: 6 }, () =>
+    app.request('POST', '/api/create-checkout', { body: { imageId, voucher: voucher.code } })
+  ))
+
+  assert.equal(responses.filter(response => response.status === 200 && response.body.free).length, 2)
+  assert.ok(responses.filter(response => response.status !== 200).every(response => response.body.code === 'VOUCHER_USED_UP'))
+  assert.equal((await getVoucher(voucher.code)).redemptionCount, 2)
+  assert.equal((await listRedemptions({ code: voucher.code })).length, 2)
+})
+
+test('orders paid without Stripe get distinct, unguessable ids', async () => {
+  const responses = await Promise.all(Array.from({ length: 3 }, () =>
+    app.request('POST', '/api/create-checkout', { body: { imageId } })
+  ))
+
+  const ids = responses.map(response => response.body.sessionId)
+  assert.equal(new Set(ids).size, 3)
+  assert.ok(ids.every(id => /^mock_[0-9a-f-]{36}$/.test(id)))
+})
+
+test('a regenerations voucher counts once per session, even in parallel', async () => {
+  const { vouchers: [voucher] } = await createVouchers({ code: 'REROLL-ONCE', kind: 'regenerations', regenerations: 2 })
+  const before = getRegenerationLimit(await getSession(sessionId))
+
+  const responses = await Promise.all(Array.from({ length: 4 }, () =>
+    app.request('POST', `/api/sessions/${sessionId}/vouchers`, { body: { code: voucher.code }, headers: { 'x-session-token': createSessionToken(sessionId) } })
+  ))
+
+  assert.equal(responses.filter(response => response.status === 200).length, 1)
+  assert.ok(responses.filter(response => response.status !== 200).every(response => response.body.code === 'VOUCHER_ALREADY_REDEEMED'))
+  assert.equal(getRegenerationLimit(await getSession(sessionId)), before + 2)
+  assert.equal((await getVoucher(voucher.code)).redemptionCount, 1)
+})
+
+test('checkouts refuse image ids that are not strings', async () => {
+  for (const body of [{ imageIds: imageId }, { imageIds: [] }, { imageIds: [imageId, { id: imageId }] }, { imageId: [imageId] }]) {
+    const response = await app.request('POST', '/api/create-checkout', { body })
+    assert.equal(response.status, 400)
+    assert.equal(response.body.code, 'INVALID_IMAGE_IDS')
+  }
+})
+
+test('checkouts with a voucher are rate limited', async () => {
+  process.env.VOUCHER_LIMIT_PER_FINGERPRINT = '2'
+  try {
+    const headers = { 'x-client-fingerprint': 'voucher-guesser' }
+    const responses = []
+    for (const code of ['GUESS-1', 'GUESS-2', 'GUESS-3']) {
+      responses.push(await app.request('POST', '/api/create-checkout', { body: { imageId, voucher: code }, headers }))
+    }
+
+    assert.deepEqual(responses.map(response => response.status), [400, 400, 429])
+    assert.equal(responses[2].body.code, 'RATE_LIMITED')
+  } finally {
+    process.env.VOUCHER_LIMIT_PER_FINGERPRINT = '0'
+  }
+})
@@ -0,0 +1,33 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTestEnvironment } from './helpers.js'
+
+useTestEnvironment()
+
+const { claimEvent, markEventProcessed, releaseEvent } = await import('../services/webhookEvents.js')
+
+const event = id => ({ id, type: 'checkout.session.completed', data: { object: { id: 'cs_test_1' } } })
+
+test('only one of parallel deliveries claims an event', async () => {
+  const claims = await Promise.all(Array.from({ length: 5 }, () => claimEvent(event('evt_parallel'))))
+
+  assert.equal(claims.filter(claim => claim === 'claimed').length, 1)
+  assert.ok(claims.filter(claim => claim !== 'claimed').every(claim => claim === 'processing'))
+
+  await markEventProcessed('evt_parallel')
+  assert.equal(await claimEvent(event('evt_parallel')), 'processed')
+})
+
+test('a released event can be claimed again', async () => {
+  assert.equal(await claimEvent(event('evt_failed')), 'claimed')
+  await releaseEvent('evt_failed')
+  assert.equal(await claimEvent(event('evt_failed')), 'claimed')
+})
+
+test('a stale claim is taken over by one delivery', async () => {
+  assert.equal(await claimEvent(event('evt_stale')), 'claimed')
+
+  const later = Date.now() + 10 * 60 * 1000
+  const claims = await Promise.all(Array.from({ length: 3 }, () => claimEvent(event('evt_stale'), later)))
+  assert.equal(claims.filter(claim => claim === 'claimed').length, 1)
+})